@@ -0,0 +1,108 @@
+/**
+ * Pub/sub adapters for running IPCMain across several server processes
+ *
+ * Every IPCMain (node) delivers notifications to its own clients and publishes
+ * them through the adapter; the other nodes deliver them to theirs. Presence
+ * records which node each client is connected to, with its user and rooms.
+ */
+
+/**
+ * Notification fanned out to the other nodes
+ */
+export interface IPCAdapterMessage {
+  /** Node that published the message (nodes ignore their own messages) */
+  origin: string;
+  /** Which clients receive it */
+  scope: 'all' | 'client' | 'user' | 'room';
+  /** Client ID, user ID or room name (unused for 'all') */
+  target?: string;
+  /** Notification channel (for metrics) */
+  channel?: string;
+  /** Encoded JSON-RPC notification, ready to send (see shared/codec) */
+  frame: string | Uint8Array;
+}
+
+/**
+ * Cluster-wide record of a connected client
+ */
+export interface IPCPresence {
+  /** Node the client is connected to */
+  nodeId: string;
+  userId?: string;
+  rooms: string[];
+}
+
+/**
+ * Pub/sub adapter (see IPCMainOptions.adapter)
+ * One adapter instance serves one IPCMain
+ */
+export interface IPCAdapter {
+  /** Publish message to all nodes */
+  publish(message: IPCAdapterMessage): void | Promise<void>;
+  /** Receive messages published by any node */
+  subscribe(listener: (message: IPCAdapterMessage) => void): void | Promise<void>;
+  /** Record (or with undefined, remove) a client's presence */
+  setPresence(clientId: string, presence: IPCPresence | undefined): void | Promise<void>;
+  /** Presence of all clients in the cluster, by client ID */
+  getPresence(): Promise<Record<string, IPCPresence>>;
+  /** Release resources and remove this node's presence */
+  close?(): void | Promise<void>;
+}
+
+/**
+ * Shared state of the MemoryAdapters in one process
+ */
+export class MemoryBus {
+  listeners = new Set<(message: IPCAdapterMessage) => void>();
+  presence = new Map<string, IPCPresence>();
+}
+
+/**
+ * In-process adapter
+ * Adapters sharing a MemoryBus behave like nodes of one cluster, which makes
+ * this a stand-in for a networked adapter in tests and for several IPCMain
+ * instances in one process.
+ */
+export class MemoryAdapter implements IPCAdapter {
+  private listener?: (message: IPCAdapterMessage) => void;
+  private clientIds = new Set<string>();
+
+  constructor(private bus: MemoryBus = new MemoryBus()) {}
+
+  publish(message: IPCAdapterMessage): void {
+    // Deliver asynchronously, like a network round trip
+    for (const listener of this.bus.listeners) {
+      queueMicrotask(() => listener(message));
+    }
+  }
+
+  subscribe(listener: (message: IPCAdapterMessage) => void): void {
+    this.listener = listener;
+    this.bus.listeners.add(listener);
+  }
+
+  setPresence(clientId: string, presence: IPCPresence | undefined): void {
+    if (presence) {
+      this.bus.presence.set(clientId, presence);
+      this.clientIds.add(clientId);
+    } else {
+      this.bus.presence.delete(clientId);
+      this.clientIds.delete(clientId);
+    }
+  }
+
+  async getPresence(): Promise<Record<string, IPCPresence>> {
+    return Object.fromEntries(this.bus.presence);
+  }
+
+  close(): void {
+    if (this.listener) {
+      this.bus.listeners.delete(this.listener);
+    }
+
+    for (const clientId of this.clientIds) {
+      this.bus.presence.delete(clientId);
+    }
+    this.clientIds.clear();
+  }
+}
@@ -3,7 +3,10 @@
  * Only provides webContents.send() for IPC notifications
  */
 
-import { ipcMain } from './ipc-main.js';
+import { ipcMain, type IPCMain } from './ipc-main.js';
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('BrowserWindow');
 
 export interface BrowserWindowOptions {
   width?: number;
@@ -13,10 +16,14 @@ export interface BrowserWindowOptions {
     contextIsolation?: boolean;
     preload?: string;
   };
+  /** IPCMain whose clients webContents.send() reaches (default: ipcMain) */
+  ipc?: IPCMain;
   [key: string]: any;
 }
 
 export class BrowserWindow {
+  private ipc: IPCMain;
+
   /**
    * Web contents shim
    * Provides send() and sendTo() for IPC notifications
@@ -28,7 +35,7 @@ export class BrowserWindow {
      * @param args - Arguments to send
      */
     send: (channel: string, ...args: any[]): void => {
-      ipcMain.broadcast(channel, ...args);
+      this.ipc.broadcast(channel, ...args);
     },
 
     /**
@@ -38,15 +45,18 @@ export class BrowserWindow {
      * @param args - Arguments to send
      */
     sendTo: (webContentsId: string, channel: string, ...args: any[]): void => {
-      ipcMain.sendTo(webContentsId, channel, ...args);
+      this.ipc.sendTo(webContentsId, channel, ...args);
     },
   };
 
   constructor(options?: BrowserWindowOptions) {
-    // Options are ignored in web mode
+    this.ipc = options?.ipc ?? ipcMain;
+
+    // Other options are ignored in web mode
     // This is just a shim for API compatibility
-    if (options) {
-      console.log('[BrowserWindow] Options ignored in web mode:', Object.keys(options));
+    const ignored = Object.keys(options ?? {}).filter((key) => key !== 'ipc');
+    if (ignored.length > 0) {
+      log.debug('Options ignored in web mode', { options: ignored });
     }
   }
 
@@ -8,6 +8,10 @@
  * minimal in-memory clipboard for server-side code.
  */
 
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('clipboard');
+
 class Clipboard {
   private textContent: string = '';
   private htmlContent: string = '';
@@ -45,7 +49,7 @@ class Clipboard {
    * Read RTF from clipboard (not supported)
    */
   readRTF(): string {
-    console.warn('[electron-to-web] readRTF not supported in server context');
+    log.warn('readRTF not supported in server context');
     return '';
   }
 
@@ -53,7 +57,7 @@ class Clipboard {
    * Write RTF to clipboard (not supported)
    */
   writeRTF(_text: string): void {
-    console.warn('[electron-to-web] writeRTF not supported in server context');
+    log.warn('writeRTF not supported in server context');
   }
 
   /**
@@ -70,7 +74,7 @@ class Clipboard {
   write(data: { text?: string; html?: string; rtf?: string }): void {
     if (data.text) this.textContent = data.text;
     if (data.html) this.htmlContent = data.html;
-    if (data.rtf) console.warn('[electron-to-web] RTF format not supported');
+    if (data.rtf) log.warn('RTF format not supported');
   }
 }
 
@@ -1,6 +1,6 @@
 /**
  * Dialog API shim
- * Maps Electron's dialog API to Node.js/console equivalents
+ * Maps Electron's dialog API to Node.js/log equivalents
  *
  * Electron API: https://www.electronjs.org/docs/latest/api/dialog
  *
@@ -8,6 +8,10 @@
  * for server-side code that may import dialog but not necessarily use it.
  */
 
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('dialog');
+
 export interface OpenDialogOptions {
   title?: string;
   defaultPath?: string;
@@ -38,8 +42,7 @@ export class Dialog {
    * Show open dialog (not fully supported in server context)
    */
   async showOpenDialog(options?: OpenDialogOptions): Promise<{ canceled: boolean; filePaths: string[] }> {
-    console.warn('[electron-to-web] showOpenDialog not supported in server context');
-    console.log('[electron-to-web] Dialog options:', options);
+    log.warn('showOpenDialog not supported in server context', { options });
     return { canceled: true, filePaths: [] };
   }
 
@@ -47,29 +50,28 @@ export class Dialog {
    * Show save dialog (not fully supported in server context)
    */
   async showSaveDialog(options?: SaveDialogOptions): Promise<{ canceled: boolean; filePath?: string }> {
-    console.warn('[electron-to-web] showSaveDialog not supported in server context');
-    console.log('[electron-to-web] Dialog options:', options);
+    log.warn('showSaveDialog not supported in server context', { options });
     return { canceled: true };
   }
 
   /**
-   * Show message box (logs to console in server context)
+   * Show message box (logged in server context)
    */
   async showMessageBox(options: MessageBoxOptions): Promise<{ response: number; checkboxChecked: boolean }> {
-    console.log(`[electron-to-web] MessageBox (${options.type || 'none'}): ${options.title || ''}`);
-    console.log(`[electron-to-web] ${options.message}`);
-    if (options.detail) {
-      console.log(`[electron-to-web] ${options.detail}`);
-    }
+    log.info('MessageBox', {
+      type: options.type || 'none',
+      title: options.title || '',
+      message: options.message,
+      detail: options.detail,
+    });
     return { response: 0, checkboxChecked: false };
   }
 
   /**
-   * Show error box (logs to console in server context)
+   * Show error box (logged in server context)
    */
   showErrorBox(title: string, content: string): void {
-    console.error(`[electron-to-web] Error: ${title}`);
-    console.error(`[electron-to-web] ${content}`);
+    log.error('Error box', { title, content });
   }
 }
 
@@ -3,10 +3,24 @@
  * Drop-in replacement for Electron's main process APIs
  */
 
-export { ipcMain } from './ipc-main.js';
+export { ipcMain, IPCMain } from './ipc-main.js';
+export type { IPCConnection, IPCHandleOptions, IPCMainOptions, IPCMiddleware, IPCMiddlewareContext, IPCRoomAuthorizer } from './ipc-main.js';
+export type { IPCSchema, IPCValidator, JSONSchema, JSONSchemaType } from './schema.js';
+export type { RateLimitInfo, RateLimitOptions, TokenBucketOptions } from './rate-limit.js';
+export type { IPCMetrics } from './metrics.js';
+export { MemoryAdapter, MemoryBus } from './adapter.js';
+export type { IPCAdapter, IPCAdapterMessage, IPCPresence } from './adapter.js';
+export { RedisAdapter } from './redis-adapter.js';
+export type { RedisAdapterOptions, RedisLikeClient } from './redis-adapter.js';
+export { ForbiddenError, MessageTooLargeError, RateLimitError, TimeoutError, ValidationError } from '../shared/errors.js';
+export type { ValidationIssue } from '../shared/errors.js';
 export { BrowserWindow } from './browser-window.js';
 export type { BrowserWindowOptions } from './browser-window.js';
-export type { IPCEvent, IPCHandler } from '../shared/types.js';
+export type { IPCEvent, IPCMainEvent, IPCHandler, IPCIdentity, TraceCarrier } from '../shared/types.js';
+export { configureLogging, consoleLogger } from '../shared/logger.js';
+export type { LogFields, LogLevel, Logger, LoggingOptions } from '../shared/logger.js';
+export { noopTracing, openTelemetryTracing } from '../shared/tracing.js';
+export type { IPCTracing, OpenTelemetryApi } from '../shared/tracing.js';
 
 // App API
 export { app } from './app.js';
@@ -3,61 +3,446 @@
  * Provides Electron-compatible IPC API using JSON-RPC over WebSocket
  */
 
-import { JSONRPCServer, JSONRPCServerMiddleware } from 'json-rpc-2.0';
-import type { WebSocket } from 'ws';
-import type { IPCEvent, IPCHandler } from '../shared/types.js';
+import {
+  JSONRPCErrorCode,
+  JSONRPCErrorException,
+  JSONRPCServer,
+  JSONRPCServerMiddleware,
+  createJSONRPCErrorResponse,
+  type JSONRPCErrorResponse,
+  type JSONRPCID,
+  type JSONRPCResponse,
+} from 'json-rpc-2.0';
+import { canEncode, decodeMessage, encodeMessage, withinDepth } from '../shared/codec.js';
+import { ForbiddenError, MessageTooLargeError, RateLimitError, TimeoutError, ValidationError } from '../shared/errors.js';
+import type { ValidationIssue } from '../shared/errors.js';
+import { createArgsValidator, createValidator } from './schema.js';
+import type { IPCSchema } from './schema.js';
+import type { IPCAdapter, IPCAdapterMessage, IPCPresence } from './adapter.js';
+import { RateLimiter } from './rate-limit.js';
+import type { RateLimitOptions } from './rate-limit.js';
+import { IPCMetrics, frameSize } from './metrics.js';
+import { createLogger } from '../shared/logger.js';
+import {
+  CANCEL_METHOD,
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_MESSAGE_SIZE,
+  IPC_ERROR_CODES,
+  PING_METHOD,
+  RECONNECTED_METHOD,
+  ROOM_METHODS,
+  STREAM_METHODS,
+} from '../shared/types.js';
+import type { IPCHandler, IPCIdentity, IPCMainEvent, IPCStreamHandler, TraceCarrier } from '../shared/types.js';
+import { injectTrace, readTrace, runWithTrace, type IPCTracing } from '../shared/tracing.js';
+
+const log = createLogger('IPC');
+
+/**
+ * Error properties always sent to the renderer: Node-style codes
+ */
+const ERROR_PROPERTIES = ['code', 'errno'];
+
+/**
+ * Fields of this library's errors, always sent to the renderer with them
+ */
+const LIBRARY_ERROR_PROPERTIES: [new (...args: any[]) => Error, string[]][] = [
+  [TimeoutError, ['timeout']],
+  [ValidationError, ['issues']],
+  [RateLimitError, ['retryAfter']],
+  [MessageTooLargeError, ['limit', 'reason']],
+];
+
+/**
+ * Errors already logged where they were thrown, which createErrorMiddleware does not log again
+ */
+const loggedErrors = new WeakSet<Error>();
+
+/**
+ * Client connection: a ws WebSocket, or a fallback transport with the same surface
+ */
+export interface IPCConnection {
+  /** 1 (OPEN) while frames can be sent */
+  readonly readyState: number;
+  /** Send encoded frame (see shared/codec) */
+  send(frame: string | Uint8Array): void;
+}
+
+/**
+ * IPCMain configuration
+ */
+export interface IPCMainOptions {
+  /**
+   * Include handler error stacks in responses sent to the renderer
+   * Useful in development; leaks server file paths, so keep off in production
+   * Default: false
+   */
+  exposeErrorStack?: boolean;
+  /**
+   * Handler error properties sent to the renderer besides name, message and cause
+   * By default every enumerable property goes, so the renderer sees the error the handler threw.
+   * Pass a list (e.g. ['snippetId']) to send only `code`, `errno` and those properties, or false
+   * for `code` and `errno` alone; this keeps fields of rethrown third-party errors, such as fs's
+   * `path` or an HTTP client's `config` and `response`, on the server.
+   * The fields of this library's errors (TimeoutError's timeout, ...) are always sent.
+   * Default: true
+   */
+  exposeErrorProperties?: boolean | string[];
+  /**
+   * Token-bucket limits on invoke, send and stream calls
+   * Over-limit invokes fail with RateLimitError (JSON-RPC -32002); over-limit sends are dropped
+   * Default: no limits
+   */
+  rateLimit?: RateLimitOptions;
+  /**
+   * Decide whether a renderer may join a room with ipcRenderer.subscribe()
+   * Without an authorizer, renderers cannot join rooms themselves (use ipcMain.join())
+   */
+  authorizeRoom?: IPCRoomAuthorizer;
+  /**
+   * Pub/sub adapter fanning broadcast, sendTo, sendToUser and broadcastTo out to other
+   * server processes (e.g. RedisAdapter). Set once, before clients connect.
+   * Default: in-memory, single process
+   */
+  adapter?: IPCAdapter;
+  /** This process's ID in the cluster (default: generated) */
+  nodeId?: string;
+  /**
+   * Trace context propagation (e.g. openTelemetryTracing(otel))
+   * Handlers and middleware run inside the context of the renderer call; notifications
+   * carry the context active when they are sent. Default: no-op
+   */
+  tracing?: IPCTracing;
+  /**
+   * Largest message accepted from a client (bytes)
+   * Larger messages are answered with MessageTooLargeError (JSON-RPC -32004) without being parsed
+   * Default: 100 MiB
+   */
+  maxMessageSize?: number;
+  /**
+   * Deepest nesting of arrays and objects accepted in a message (envelope included)
+   * Deeper messages are answered with MessageTooLargeError before their payload is decoded
+   * Default: 100
+   */
+  maxDepth?: number;
+}
+
+/**
+ * Room authorizer (see IPCMainOptions.authorizeRoom)
+ */
+export type IPCRoomAuthorizer = (
+  room: string,
+  client: { clientId: string; identity?: IPCIdentity }
+) => boolean | Promise<boolean>;
+
+/**
+ * Per-channel options for handle() / handleOnce()
+ */
+export interface IPCHandleOptions {
+  /**
+   * Maximum handler execution time (ms)
+   * On expiry event.signal is aborted and the invoke fails with TimeoutError
+   */
+  timeout?: number;
+  /**
+   * Argument schema, checked before the handler runs
+   * An array validates each positional argument; a single schema validates the argument array
+   * Failures reject with ValidationError (JSON-RPC -32602 Invalid params)
+   */
+  args?: IPCSchema | IPCSchema[];
+  /**
+   * Result schema, checked after the handler returns
+   * Failures are logged and reported to the renderer as -32603 Internal error
+   */
+  result?: IPCSchema;
+}
+
+/**
+ * Per-message context passed to JSON-RPC methods as serverParams
+ */
+interface IPCServerParams {
+  clientId: string;
+  /** Identity of a caller without a connection (see receive()); connected clients use their stored identity */
+  identity?: IPCIdentity;
+  /** Aborts the request on cancel or timeout (requests only, not notifications) */
+  controller?: AbortController;
+  /** Trace context from the message envelope */
+  trace?: TraceCarrier;
+}
+
+/**
+ * Server-side state of an active stream (see handleStream)
+ */
+interface ActiveStream {
+  clientId: string;
+  streamId: string;
+  /** Chunks the renderer is willing to receive before the next ack */
+  credit: number;
+  cancelled: boolean;
+  /** Aborts the handler's event.signal when the stream is cancelled */
+  controller: AbortController;
+  /** Resumes the pump when credit arrives or the stream is cancelled */
+  wake?: () => void;
+}
+
+/**
+ * Context object passed through the ipcMain.use() middleware pipeline
+ */
+export interface IPCMiddlewareContext {
+  /** IPC channel name */
+  channel: string;
+  /** Arguments from renderer (may be replaced to transform them) */
+  args: any[];
+  /** ID of the client that sent the message */
+  clientId: string;
+  /** Identity of the client's connection, if authenticated */
+  identity?: IPCIdentity;
+  /** Trace context of the renderer call, if it carries one */
+  trace?: TraceCarrier;
+  /** 'invoke' for handle(), 'send' for on(), 'stream' for handleStream() traffic */
+  type: 'invoke' | 'send' | 'stream';
+  /** Event object passed to the handler or listeners */
+  event: IPCMainEvent;
+  /** Handler result (set once next() resolves, may be replaced; the iterable for streams) */
+  result?: any;
+  /** Free-form data shared between middleware */
+  state: Record<string, any>;
+}
+
+/**
+ * Middleware function signature
+ * Call next() to continue the pipeline; skip it to short-circuit.
+ * A non-undefined return value replaces ctx.result.
+ */
+export type IPCMiddleware = (
+  ctx: IPCMiddlewareContext,
+  next: () => Promise<any>
+) => Promise<any> | any;
 
 export class IPCMain {
-  private server: JSONRPCServer;
-  private clients = new Map<string, WebSocket>();
+  private server: JSONRPCServer<IPCServerParams>;
+  private clients = new Map<string, IPCConnection>();
+  private identities = new Map<string, IPCIdentity>();
+  private userClients = new Map<string, Set<string>>(); // userId -> client IDs
+  private inFlight = new Map<Promise<void>, string>(); // message being handled -> client ID
+  private rooms = new Map<string, Set<string>>(); // room -> client IDs
+  private clientRooms = new Map<string, Set<string>>(); // client ID -> rooms
   private handlers = new Map<string, IPCHandler>();
   private listeners = new Map<string, Set<IPCHandler>>(); // For on() event listeners
+  private middlewares: IPCMiddleware[] = [];
+  private streamHandlers = new Map<string, IPCStreamHandler>();
+  private streams = new Map<string, ActiveStream>(); // Keyed by `${clientId}:${streamId}`
+  private pendingInvokes = new Map<string, AbortController>(); // Keyed by `${clientId}:${requestId}`
+  private options: IPCMainOptions;
+  private adapter?: IPCAdapter;
+  private nodeId: string;
+  private rateLimiter?: RateLimiter;
+
+  /** Traffic metrics (served in Prometheus format by the server's metrics option) */
+  readonly metrics = new IPCMetrics(() => this.clients.size);
+
+  constructor(options: IPCMainOptions = {}) {
+    this.options = { ...options };
+    this.rateLimiter = options.rateLimit && new RateLimiter(options.rateLimit);
+    this.nodeId = options.nodeId ?? `node-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    if (options.adapter) {
+      this.attachAdapter(options.adapter);
+    }
 
-  constructor() {
     // Create JSON-RPC server
-    this.server = new JSONRPCServer();
+    // Handler errors are logged by createErrorMiddleware; the library's own listener writes to console.warn
+    this.server = new JSONRPCServer<IPCServerParams>({
+      errorListener: (message, err) => log.debug(message, { err }),
+    });
+
+    // Send handler errors with name, code, custom properties and cause
+    this.server.mapErrorToJSONRPCErrorResponse = (id, error) => this.createErrorResponse(id, error);
 
-    // Add error handling middleware
+    // Add tracing, rate limiting, error handling and cancellation middleware
     this.server.applyMiddleware(
-      this.createErrorMiddleware() as JSONRPCServerMiddleware<void>
+      this.createTraceMiddleware(),
+      this.createRateLimitMiddleware(),
+      this.createErrorMiddleware() as JSONRPCServerMiddleware<IPCServerParams>,
+      this.createAbortMiddleware()
     );
+
+    // Cancellation of in-flight invokes
+    this.server.addMethod(CANCEL_METHOD, (params: any, { clientId }) => {
+      const [requestId] = params;
+      this.pendingInvokes
+        .get(`${clientId}:${requestId}`)
+        ?.abort(new JSONRPCErrorException('Request cancelled', IPC_ERROR_CODES.RequestCancelled));
+    });
+
+    // Renderer liveness checks
+    this.server.addMethod(PING_METHOD, () => Date.now());
+
+    this.server.addMethod(RECONNECTED_METHOD, () => {
+      this.metrics.recordReconnect();
+    });
+
+    // Renderer-initiated room subscriptions
+    this.server.addMethod(ROOM_METHODS.join, async (params: any, { clientId }) => {
+      const [room] = params;
+      const allowed = typeof room === 'string'
+        && !!this.options.authorizeRoom
+        && (await this.options.authorizeRoom(room, { clientId, identity: this.identities.get(clientId) }));
+
+      if (!allowed) {
+        log.warn('Client denied joining room', { clientId, room });
+        throw new ForbiddenError(`Not allowed to join room '${room}'`);
+      }
+
+      this.join(clientId, room);
+    });
+
+    this.server.addMethod(ROOM_METHODS.leave, (params: any, { clientId }) => {
+      const [room] = params;
+      this.leave(clientId, room);
+    });
+
+    // Streaming protocol methods
+    this.server.addMethod(STREAM_METHODS.start, (params: any, { clientId, trace }) => {
+      const [streamId, channel, args, credit] = params;
+      return this.startStream(clientId, streamId, channel, args, credit, trace);
+    });
+
+    this.server.addMethod(STREAM_METHODS.ack, (params: any, { clientId }) => {
+      const [streamId, credit] = params;
+      const stream = this.streams.get(`${clientId}:${streamId}`);
+
+      if (stream && typeof credit === 'number' && credit > 0) {
+        stream.credit += credit;
+        stream.wake?.();
+      }
+    });
+
+    this.server.addMethod(STREAM_METHODS.cancel, (params: any, { clientId }) => {
+      const [streamId] = params;
+      this.cancelStream(`${clientId}:${streamId}`);
+    });
+  }
+
+  /**
+   * Update configuration
+   * @param options - Options to change (others keep their current value)
+   */
+  configure(options: IPCMainOptions): void {
+    Object.assign(this.options, options);
+
+    if ('rateLimit' in options) {
+      this.rateLimiter = options.rateLimit && new RateLimiter(options.rateLimit);
+    }
+
+    if (options.nodeId) {
+      this.nodeId = options.nodeId;
+    }
+
+    if (options.adapter && options.adapter !== this.adapter) {
+      this.attachAdapter(options.adapter);
+    }
+  }
+
+  /**
+   * Add middleware around all handle() and on() traffic
+   * Middleware runs in registration order
+   * @param middleware - Middleware function (receives ctx + next)
+   */
+  use(middleware: IPCMiddleware): void {
+    this.middlewares.push(middleware);
   }
 
   /**
    * Register IPC handler (Electron-compatible API)
    * @param channel - IPC channel name (becomes JSON-RPC method)
    * @param handler - Handler function (receives event + params)
+   * @param options - Per-channel options (timeout, args/result schemas)
    */
-  handle(channel: string, handler: IPCHandler): void {
+  handle(channel: string, handler: IPCHandler, options: IPCHandleOptions = {}): void {
+    const validateArgs = options.args ? createArgsValidator(options.args) : undefined;
+    const validateResult = options.result ? createValidator(options.result) : undefined;
+
     // Store handler reference
     this.handlers.set(channel, handler);
 
     // Register with JSON-RPC server
-    this.server.addMethod(channel, async (params: any) => {
-      // Create mock Electron event object
-      const mockEvent: IPCEvent = {
-        sender: {
-          id: 'renderer', // Will be replaced with actual client ID in handleMessage
-        },
-      };
+    this.server.addMethod(channel, async (params: any, serverParams) => {
+      const controller = serverParams.controller ?? new AbortController();
+      const timer = options.timeout
+        ? setTimeout(() => {
+            log.warn('Handler timed out', { channel, clientId: serverParams.clientId, timeout: options.timeout });
+            controller.abort(
+              new TimeoutError(`Handler '${channel}' timed out after ${options.timeout}ms`, options.timeout!)
+            );
+          }, options.timeout)
+        : undefined;
+
+      // Create Electron event object bound to the calling client
+      const event = this.createEvent(serverParams.clientId, controller.signal, serverParams.identity, serverParams.trace);
 
       // Call handler with Electron-style signature: (event, ...args)
       // params is an array, so spread it
       const args = Array.isArray(params) ? params : [params];
-      return await handler(mockEvent, ...args);
+      const ctx = this.createContext('invoke', channel, args, event);
+
+      const started = performance.now();
+      let failed = true;
+
+      // Respond as soon as the invoke is cancelled or times out, even if the handler ignores event.signal
+      try {
+        const response = await this.raceAbort(event.signal, () =>
+          this.runMiddleware(ctx, async () => {
+            const argIssues = validateArgs?.(ctx.args) ?? [];
+            if (argIssues.length > 0) {
+              throw new ValidationError(`Invalid params: ${this.formatIssues('params', argIssues)}`, argIssues);
+            }
+
+            const result = await handler(ctx.event, ...ctx.args);
+
+            const resultIssues = validateResult?.(result) ?? [];
+            if (resultIssues.length > 0) {
+              log.error('Handler returned invalid result', { channel, issues: this.formatIssues('result', resultIssues) });
+              const error = new JSONRPCErrorException('Internal error', JSONRPCErrorCode.InternalError);
+              loggedErrors.add(error);
+              throw error;
+            }
+
+            return result;
+          })
+        );
+        failed = false;
+        return response;
+      } finally {
+        clearTimeout(timer);
+        this.metrics.recordInvocation(channel, (performance.now() - started) / 1000, failed);
+      }
     });
 
-    console.log(`[IPC] Registered handler: ${channel}`);
+    log.debug('Registered handler', { channel });
+  }
+
+  /**
+   * Register streaming handler
+   * Consumed in the renderer with ipcRenderer.invokeStream()
+   * Chunks are only produced while the renderer has credit (backpressure)
+   * @param channel - IPC channel name
+   * @param handler - Async generator function (receives event + params)
+   */
+  handleStream(channel: string, handler: IPCStreamHandler): void {
+    this.streamHandlers.set(channel, handler);
+    log.debug('Registered stream handler', { channel });
   }
 
   /**
    * Remove IPC handler (Electron-compatible API)
+   * Also removes a stream handler registered on the same channel
    * @param channel - IPC channel name
    */
   removeHandler(channel: string): void {
+    this.streamHandlers.delete(channel);
     this.handlers.delete(channel);
     this.server.removeMethod(channel);
-    console.log(`[IPC] Removed handler: ${channel}`);
+    log.debug('Removed handler', { channel });
   }
 
   /**
@@ -65,14 +450,15 @@ export class IPCMain {
    * Automatically removes handler after first invocation
    * @param channel - IPC channel name
    * @param handler - Handler function
+   * @param options - Per-channel options (timeout, args/result schemas)
    */
-  handleOnce(channel: string, handler: IPCHandler): void {
+  handleOnce(channel: string, handler: IPCHandler, options?: IPCHandleOptions): void {
     const onceWrapper: IPCHandler = async (event, ...args) => {
       this.removeHandler(channel);
       return await handler(event, ...args);
     };
 
-    this.handle(channel, onceWrapper);
+    this.handle(channel, onceWrapper, options);
   }
 
   /**
@@ -90,32 +476,36 @@ export class IPCMain {
 
     // Register JSON-RPC notification handler if not already registered
     if (!this.handlers.has(channel)) {
-      this.server.addMethod(channel, async (params: any) => {
-        const mockEvent: IPCEvent = {
-          sender: {
-            id: 'renderer',
-          },
-        };
+      this.server.addMethod(channel, async (params: any, serverParams) => {
+        const event = this.createEvent(serverParams.clientId, undefined, serverParams.identity, serverParams.trace);
 
         const args = Array.isArray(params) ? params : [params];
-        const channelListeners = this.listeners.get(channel);
-
-        if (channelListeners) {
-          // Call all listeners (no response expected for on())
-          for (const listener of channelListeners) {
-            try {
-              await listener(mockEvent, ...args);
-            } catch (error) {
-              console.error(`[IPC] Error in listener for ${channel}:`, error);
+        const ctx = this.createContext('send', channel, args, event);
+
+        try {
+          await this.runMiddleware(ctx, async () => {
+            const channelListeners = this.listeners.get(channel);
+
+            if (channelListeners) {
+              // Call all listeners (no response expected for on())
+              for (const listener of channelListeners) {
+                try {
+                  await listener(ctx.event, ...ctx.args);
+                } catch (error) {
+                  log.error('Error in listener', { channel, clientId: serverParams.clientId, err: error });
+                }
+              }
             }
-          }
+          });
+        } catch (error) {
+          log.error('Error in middleware', { channel, clientId: serverParams.clientId, err: error });
         }
 
         // Return undefined for one-way messages
         return undefined;
       });
 
-      console.log(`[IPC] Registered listener channel: ${channel}`);
+      log.debug('Registered listener channel', { channel });
     }
   }
 
@@ -150,7 +540,7 @@ export class IPCMain {
         // Also remove the JSON-RPC method if no invoke handler exists
         if (!this.handlers.has(channel)) {
           this.server.removeMethod(channel);
-          console.log(`[IPC] Removed listener channel: ${channel}`);
+          log.debug('Removed listener channel', { channel });
         }
       }
     }
@@ -174,7 +564,7 @@ export class IPCMain {
       // Remove JSON-RPC method if no invoke handler exists
       if (!this.handlers.has(channel)) {
         this.server.removeMethod(channel);
-        console.log(`[IPC] Removed all listeners for channel: ${channel}`);
+        log.debug('Removed all listeners for channel', { channel });
       }
     } else {
       this.listeners.clear();
@@ -184,92 +574,411 @@ export class IPCMain {
           this.server.removeMethod(ch);
         }
       }
-      console.log(`[IPC] Removed all listeners for all channels`);
+      log.debug('Removed all listeners for all channels');
     }
   }
 
   /**
-   * Handle incoming WebSocket message
-   * @param ws - WebSocket connection
-   * @param message - Raw message string
-   * @param clientId - Client identifier
+   * Handle incoming message
+   * @param ws - Connection the message arrived on (responses are sent there)
+   * @param message - Raw message (JSON string, or binary frame carrying binary payloads)
+   * @param clientId - Client identifier (exposed to handlers as event.sender.id)
    */
-  async handleMessage(ws: WebSocket, message: string, _clientId?: string): Promise<void> {
+  async handleMessage(ws: IPCConnection, message: string | Uint8Array, clientId = 'renderer'): Promise<void> {
+    this.metrics.recordBytes('in', frameSize(message));
+
+    const handling = this.processMessage(ws, message, clientId);
+    this.inFlight.set(handling, clientId);
+
     try {
-      const jsonRPCMessage = JSON.parse(message);
+      await handling;
+    } finally {
+      this.inFlight.delete(handling);
+    }
+  }
+
+  /**
+   * Handle JSON-RPC request, notification or batch from a caller without a connection (e.g. over HTTP)
+   * Calls go through the same rate limits, middleware, validation and handlers as WebSocket messages.
+   * Reserved protocol methods ($/...) need a connection and are reported as not found.
+   * @param message - Decoded JSON-RPC message, or array of messages (batch)
+   * @param clientId - Caller identifier (event.sender.id; rate limits are counted under it)
+   * @param identity - Caller identity (event.identity)
+   * @returns Response, responses of a batch, or null when nothing needs a response
+   */
+  async receive(
+    message: any,
+    clientId: string,
+    identity?: IPCIdentity
+  ): Promise<JSONRPCResponse | JSONRPCResponse[] | null> {
+    const { maxDepth = DEFAULT_MAX_DEPTH } = this.options;
+    if (!withinDepth(message, maxDepth)) {
+      log.warn('Message rejected', { clientId, reason: 'depth', limit: maxDepth });
+      const error = new MessageTooLargeError(`Message nesting exceeds ${maxDepth} levels`, maxDepth, 'depth');
+      return this.createErrorResponse(Array.isArray(message) ? null : message?.id ?? null, error);
+    }
+
+    const receiveOne = async (request: any): Promise<JSONRPCResponse | null> => {
+      if (typeof request?.method === 'string' && request.method.startsWith('$/')) {
+        return request.id === undefined
+          ? null
+          : createJSONRPCErrorResponse(request.id, JSONRPCErrorCode.MethodNotFound, 'Method not found');
+      }
+
+      return this.server.receive(request, { clientId, identity });
+    };
+
+    if (!Array.isArray(message)) {
+      return receiveOne(message);
+    }
+
+    if (message.length === 0) {
+      return createJSONRPCErrorResponse(null, JSONRPCErrorCode.InvalidRequest, 'Invalid Request');
+    }
+
+    const responses = (await Promise.all(message.map(receiveOne))).filter(
+      (response): response is JSONRPCResponse => response !== null
+    );
+    return responses.length > 0 ? responses : null;
+  }
+
+  /**
+   * Close the adapter (IPCMainOptions.adapter), removing this node's presence from the cluster
+   * Used for graceful shutdown, once the clients have disconnected
+   */
+  async closeAdapter(): Promise<void> {
+    await this.adapter?.close?.();
+  }
+
+  /**
+   * Wait until messages being handled have settled (responses sent)
+   * Used for graceful shutdown; messages arriving meanwhile are waited for too
+   * @param clientIds - Only wait for these clients' messages (default: all)
+   */
+  async waitForPending(clientIds?: Iterable<string>): Promise<void> {
+    const ids = clientIds && new Set(clientIds);
 
-      const response = await this.server.receive(jsonRPCMessage);
+    while (true) {
+      const pending = Array.from(this.inFlight)
+        .filter(([, clientId]) => !ids || ids.has(clientId))
+        .map(([handling]) => handling);
+
+      if (pending.length === 0) {
+        return;
+      }
+
+      await Promise.allSettled(pending);
+    }
+  }
+
+  /**
+   * Decode message, run it through the JSON-RPC server and send the response
+   */
+  private async processMessage(ws: IPCConnection, message: string | Uint8Array, clientId: string): Promise<void> {
+    // ID of the request being handled, for error responses (null until decoded, and for batches)
+    let requestId: JSONRPCID = null;
+
+    try {
+      const { maxMessageSize = DEFAULT_MAX_MESSAGE_SIZE, maxDepth = DEFAULT_MAX_DEPTH } = this.options;
+      const size = frameSize(message);
+      if (size > maxMessageSize) {
+        throw new MessageTooLargeError(`Message of ${size} bytes exceeds the ${maxMessageSize}-byte limit`, maxMessageSize, 'size');
+      }
+
+      const jsonRPCMessage = decodeMessage(message, maxDepth);
+      requestId = Array.isArray(jsonRPCMessage) ? null : jsonRPCMessage?.id ?? null;
+
+      const response = await this.server.receive(jsonRPCMessage, { clientId });
 
       // Send response if present (requests have responses, notifications don't)
       if (response && ws.readyState === 1) {
-        ws.send(JSON.stringify(response));
+        this.transmit(ws, this.encodeResponse(response));
       }
     } catch (error) {
-      console.error('[IPC] Error handling message:', error);
+      // Answer over-limit requests with a proper error, to the request ID when it could be read
+      if (error instanceof MessageTooLargeError) {
+        log.warn('Message rejected', { clientId, reason: error.reason, limit: error.limit });
+        if (ws.readyState === 1) {
+          this.transmit(ws, encodeMessage(this.createErrorResponse(error.requestId ?? null, error)));
+        }
+        return;
+      }
+
+      log.error('Error handling message', { clientId, err: error });
 
       // Send error response
       if (ws.readyState === 1) {
-        ws.send(
-          JSON.stringify({
-            jsonrpc: '2.0',
-            error: {
-              code: -32603,
-              message: error instanceof Error ? error.message : 'Internal error',
-            },
-            id: null,
-          })
+        this.transmit(
+          ws,
+          JSON.stringify(createJSONRPCErrorResponse(
+            requestId,
+            JSONRPCErrorCode.InternalError,
+            error instanceof Error ? error.message : 'Internal error'
+          ))
         );
       }
     }
   }
 
   /**
-   * Add WebSocket client
+   * Encode response (or batch of responses) for sending
+   * A response whose result cannot be encoded (e.g. a circular object) is replaced by
+   * an Internal error to the same request ID, so the caller's invoke still settles
+   */
+  private encodeResponse(response: JSONRPCResponse | JSONRPCResponse[]): string | Uint8Array {
+    try {
+      return encodeMessage(response);
+    } catch {
+      // Found below, response by response
+    }
+
+    const encodable = (one: JSONRPCResponse): JSONRPCResponse => {
+      if (canEncode(one)) {
+        return one;
+      }
+
+      log.error('Response cannot be encoded', { id: one.id });
+      return createJSONRPCErrorResponse(one.id, JSONRPCErrorCode.InternalError, 'Internal error: response cannot be encoded');
+    };
+
+    return encodeMessage(Array.isArray(response) ? response.map(encodable) : encodable(response));
+  }
+
+  /**
+   * Add client
    * @param clientId - Client identifier
-   * @param ws - WebSocket connection
+   * @param ws - WebSocket (or fallback transport) connection
+   * @param identity - Identity resolved when the connection was authenticated
    */
-  addClient(clientId: string, ws: WebSocket): void {
+  addClient(clientId: string, ws: IPCConnection, identity?: IPCIdentity): void {
     this.clients.set(clientId, ws);
-    console.log(`[IPC] Client connected: ${clientId} (total: ${this.clients.size})`);
+    this.metrics.recordConnection();
+    if (identity) {
+      this.setIdentity(clientId, identity);
+    }
+    this.updatePresence(clientId);
+    log.debug('Client connected', { clientId, total: this.clients.size });
   }
 
   /**
-   * Remove WebSocket client
+   * Remove client
    * @param clientId - Client identifier
    */
   removeClient(clientId: string): void {
+    // Stop streams the client can no longer consume
+    for (const [key, stream] of this.streams) {
+      if (stream.clientId === clientId) {
+        this.cancelStream(key);
+      }
+    }
+
+    // Stop invokes nobody is waiting for
+    for (const [key, controller] of this.pendingInvokes) {
+      if (key.startsWith(`${clientId}:`)) {
+        controller.abort(new JSONRPCErrorException('Client disconnected', IPC_ERROR_CODES.RequestCancelled));
+      }
+    }
+
     this.clients.delete(clientId);
-    console.log(`[IPC] Client disconnected: ${clientId} (total: ${this.clients.size})`);
+
+    // Drop rate limit buckets unless another connection shares the key (e.g. same user)
+    const rateLimitKey = this.rateLimiter?.keyFor(clientId, this.identities.get(clientId));
+    if (rateLimitKey !== undefined) {
+      const shared = Array.from(this.clients.keys())
+        .some((id) => this.rateLimiter!.keyFor(id, this.identities.get(id)) === rateLimitKey);
+      if (!shared) {
+        this.rateLimiter!.forget(rateLimitKey);
+      }
+    }
+
+    this.setIdentity(clientId, undefined);
+
+    for (const room of this.getClientRooms(clientId)) {
+      this.leave(clientId, room);
+    }
+
+    if (this.adapter) {
+      this.callAdapter(() => this.adapter!.setPresence(clientId, undefined));
+    }
+
+    log.debug('Client disconnected', { clientId, total: this.clients.size });
   }
 
   /**
-   * Get WebSocket for specific client
+   * Attach identity to a client, e.g. after an in-app login
+   * Replaces the identity set during the WebSocket upgrade
    * @param clientId - Client identifier
+   * @param identity - New identity (undefined to make the client anonymous)
    */
-  getClient(clientId: string): WebSocket | undefined {
-    return this.clients.get(clientId);
+  setIdentity(clientId: string, identity: IPCIdentity | undefined): void {
+    const previousUserId = this.identities.get(clientId)?.userId;
+    if (previousUserId !== undefined) {
+      const clientIds = this.userClients.get(previousUserId);
+      clientIds?.delete(clientId);
+      if (clientIds?.size === 0) {
+        this.userClients.delete(previousUserId);
+      }
+    }
+
+    if (!identity) {
+      this.identities.delete(clientId);
+    } else {
+      this.identities.set(clientId, identity);
+
+      if (identity.userId !== undefined) {
+        let clientIds = this.userClients.get(identity.userId);
+        if (!clientIds) {
+          clientIds = new Set();
+          this.userClients.set(identity.userId, clientIds);
+        }
+        clientIds.add(clientId);
+      }
+    }
+
+    this.updatePresence(clientId);
   }
 
   /**
-   * Broadcast notification to all connected clients
+   * Get identity of a client
+   * @param clientId - Client identifier
+   * @returns Identity, or undefined if the client is anonymous or unknown
+   */
+  getIdentity(clientId: string): IPCIdentity | undefined {
+    return this.identities.get(clientId);
+  }
+
+  /**
+   * Get IDs of all clients (tabs, devices) of a user connected to this process
+   * Use getPresence() for clients on other nodes
+   * @param userId - User identifier (IPCIdentity.userId)
+   */
+  getClientsForUser(userId: string): string[] {
+    return Array.from(this.userClients.get(userId) ?? []);
+  }
+
+  /**
+   * Send notification to every connected client of a user
+   * @param userId - User identifier (IPCIdentity.userId)
    * @param channel - IPC channel name
    * @param args - Arguments to send
    */
-  broadcast(channel: string, ...args: any[]): void {
-    const notification = {
-      jsonrpc: '2.0' as const,
-      method: channel,
-      params: args,
-    };
+  sendToUser(userId: string, channel: string, ...args: any[]): void {
+    this.fanOut('user', userId, channel, args);
+  }
 
-    const message = JSON.stringify(notification);
+  /**
+   * Add client to a room (see broadcastTo)
+   * Clients leave all rooms automatically when they disconnect
+   * @param clientId - Client identifier
+   * @param room - Room name, e.g. `doc:${docId}`
+   */
+  join(clientId: string, room: string): void {
+    if (!this.clients.has(clientId)) {
+      log.warn('Client not found', { clientId });
+      return;
+    }
 
-    for (const [_clientId, ws] of this.clients) {
-      if (ws.readyState === 1) {
-        // OPEN
-        ws.send(message);
-      }
+    let clientIds = this.rooms.get(room);
+    if (!clientIds) {
+      clientIds = new Set();
+      this.rooms.set(room, clientIds);
+    }
+    clientIds.add(clientId);
+
+    let rooms = this.clientRooms.get(clientId);
+    if (!rooms) {
+      rooms = new Set();
+      this.clientRooms.set(clientId, rooms);
+    }
+    rooms.add(room);
+    this.updatePresence(clientId);
+  }
+
+  /**
+   * Remove client from a room
+   * @param clientId - Client identifier
+   * @param room - Room name
+   */
+  leave(clientId: string, room: string): void {
+    const clientIds = this.rooms.get(room);
+    clientIds?.delete(clientId);
+    if (clientIds?.size === 0) {
+      this.rooms.delete(room);
+    }
+
+    const rooms = this.clientRooms.get(clientId);
+    rooms?.delete(room);
+    if (rooms?.size === 0) {
+      this.clientRooms.delete(clientId);
+    }
+    this.updatePresence(clientId);
+  }
+
+  /**
+   * Get IDs of the clients in a room connected to this process
+   * Use getPresence() for clients on other nodes
+   * @param room - Room name
+   */
+  getRoomClients(room: string): string[] {
+    return Array.from(this.rooms.get(room) ?? []);
+  }
+
+  /**
+   * Get rooms a client has joined
+   * @param clientId - Client identifier
+   */
+  getClientRooms(clientId: string): string[] {
+    return Array.from(this.clientRooms.get(clientId) ?? []);
+  }
+
+  /**
+   * Send notification to every client in a room
+   * @param room - Room name
+   * @param channel - IPC channel name
+   * @param args - Arguments to send
+   */
+  broadcastTo(room: string, channel: string, ...args: any[]): void {
+    this.fanOut('room', room, channel, args);
+  }
+
+  /**
+   * Get clients connected to any node of the cluster, with their user and rooms
+   * Without an adapter, lists the clients of this process
+   */
+  async getPresence(): Promise<Record<string, IPCPresence>> {
+    if (this.adapter) {
+      return this.adapter.getPresence();
+    }
+
+    const presence: Record<string, IPCPresence> = {};
+    for (const clientId of this.clients.keys()) {
+      presence[clientId] = this.getLocalPresence(clientId);
     }
+    return presence;
+  }
+
+  /**
+   * Number of connected clients
+   */
+  getClientCount(): number {
+    return this.clients.size;
+  }
+
+  /**
+   * Get connection of specific client
+   * @param clientId - Client identifier
+   */
+  getClient(clientId: string): IPCConnection | undefined {
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Broadcast notification to all connected clients
+   * @param channel - IPC channel name
+   * @param args - Arguments to send
+   */
+  broadcast(channel: string, ...args: any[]): void {
+    this.fanOut('all', undefined, channel, args);
   }
 
   /**
@@ -282,22 +991,518 @@ export class IPCMain {
     const ws = this.clients.get(clientId);
 
     if (!ws) {
-      console.warn(`[IPC] Client ${clientId} not found`);
+      // The client may be connected to another node
+      if (this.adapter) {
+        this.fanOut('client', clientId, channel, args);
+      } else {
+        log.warn('Client not found', { clientId, channel });
+      }
       return;
     }
 
     if (ws.readyState !== 1) {
-      console.warn(`[IPC] Client ${clientId} not connected`);
+      log.warn('Client not connected', { clientId, channel });
       return;
     }
 
-    const notification = {
+    const notification = injectTrace(this.options.tracing, {
       jsonrpc: '2.0' as const,
       method: channel,
       params: args,
+    });
+
+    this.transmit(ws, encodeMessage(notification));
+    this.metrics.recordDeliveries(channel, 1);
+  }
+
+  /**
+   * Write frame to a connection, counting the bytes sent
+   */
+  private transmit(ws: IPCConnection, frame: string | Uint8Array): void {
+    this.metrics.recordBytes('out', frameSize(frame));
+    ws.send(frame);
+  }
+
+  /**
+   * Create Electron-style event object for a message from a client
+   * sender.send() and reply() target only that client's connection
+   * @param clientId - Client identifier
+   * @param signal - Cancellation signal (never aborts if omitted)
+   * @param identity - Caller identity (default: the client's stored identity)
+   * @param trace - Trace context of the message
+   */
+  private createEvent(
+    clientId: string,
+    signal = new AbortController().signal,
+    identity = this.identities.get(clientId),
+    trace?: TraceCarrier
+  ): IPCMainEvent {
+    const send = (channel: string, ...args: any[]): void => {
+      this.sendTo(clientId, channel, ...args);
+    };
+
+    return {
+      sender: {
+        id: clientId,
+        send,
+      },
+      reply: send,
+      signal,
+      identity,
+      trace,
+    };
+  }
+
+  /**
+   * Run work, rejecting with the abort reason as soon as signal aborts
+   */
+  private raceAbort<T>(signal: AbortSignal, work: () => Promise<T>): Promise<T> {
+    if (signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      work()
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Send notification to the matching clients of this process, and through
+   * the adapter to those of other nodes. The message is encoded once.
+   */
+  private fanOut(scope: IPCAdapterMessage['scope'], target: string | undefined, channel: string, args: any[]): void {
+    const frame = encodeMessage(injectTrace(this.options.tracing, { jsonrpc: '2.0' as const, method: channel, params: args }));
+
+    this.deliverLocal(scope, target, channel, frame);
+
+    if (this.adapter) {
+      const message: IPCAdapterMessage = { origin: this.nodeId, scope, target, channel, frame };
+      this.callAdapter(() => this.adapter!.publish(message));
+    }
+  }
+
+  /**
+   * Send encoded notification to the matching clients of this process
+   */
+  private deliverLocal(
+    scope: IPCAdapterMessage['scope'],
+    target: string | undefined,
+    channel: string | undefined,
+    frame: string | Uint8Array
+  ): void {
+    const clientIds =
+      scope === 'all' ? Array.from(this.clients.keys())
+      : scope === 'client' ? [target!]
+      : scope === 'user' ? this.getClientsForUser(target!)
+      : this.getRoomClients(target!);
+
+    let delivered = 0;
+    for (const clientId of clientIds) {
+      const ws = this.clients.get(clientId);
+      if (ws?.readyState === 1) {
+        // OPEN
+        this.transmit(ws, frame);
+        delivered++;
+      }
+    }
+
+    // Adapters predating the channel field deliver uncounted
+    if (channel !== undefined) {
+      this.metrics.recordDeliveries(channel, delivered);
+    }
+  }
+
+  /**
+   * Subscribe to messages published by other nodes
+   */
+  private attachAdapter(adapter: IPCAdapter): void {
+    this.adapter = adapter;
+
+    this.callAdapter(() =>
+      adapter.subscribe((message) => {
+        if (message.origin !== this.nodeId) {
+          this.deliverLocal(message.scope, message.target, message.channel, message.frame);
+        }
+      })
+    );
+
+    // Publish presence of clients connected before the adapter was set
+    for (const clientId of this.clients.keys()) {
+      this.updatePresence(clientId);
+    }
+  }
+
+  /**
+   * Presence of a client of this process
+   */
+  private getLocalPresence(clientId: string): IPCPresence {
+    return {
+      nodeId: this.nodeId,
+      userId: this.identities.get(clientId)?.userId,
+      rooms: this.getClientRooms(clientId),
     };
+  }
 
-    ws.send(JSON.stringify(notification));
+  /**
+   * Publish presence of a connected client through the adapter
+   */
+  private updatePresence(clientId: string): void {
+    if (this.adapter && this.clients.has(clientId)) {
+      const presence = this.getLocalPresence(clientId);
+      this.callAdapter(() => this.adapter!.setPresence(clientId, presence));
+    }
+  }
+
+  /**
+   * Run adapter call, logging failures (adapters may be sync or async)
+   */
+  private callAdapter(call: () => void | Promise<void>): void {
+    try {
+      Promise.resolve(call()).catch((error) => log.error('Adapter error', { err: error }));
+    } catch (error) {
+      log.error('Adapter error', { err: error });
+    }
+  }
+
+  /**
+   * Start stream for a client (STREAM_METHODS.start)
+   * Resolves once the handler has produced its iterable; chunks follow as notifications
+   */
+  private async startStream(
+    clientId: string,
+    streamId: string,
+    channel: string,
+    args: any[] = [],
+    credit = 16,
+    trace?: TraceCarrier
+  ): Promise<{ streamId: string }> {
+    const handler = this.streamHandlers.get(channel);
+
+    if (!handler) {
+      throw new Error(`No stream handler registered for '${channel}'`);
+    }
+
+    const key = `${clientId}:${streamId}`;
+    if (this.streams.has(key)) {
+      throw new Error(`Stream ${streamId} already active`);
+    }
+
+    const controller = new AbortController();
+    const event = this.createEvent(clientId, controller.signal, undefined, trace);
+    const ctx = this.createContext('stream', channel, Array.isArray(args) ? args : [args], event);
+    const iterable = await this.runMiddleware(ctx, () => handler(ctx.event, ...ctx.args));
+
+    const stream: ActiveStream = { clientId, streamId, credit, cancelled: false, controller };
+    this.streams.set(key, stream);
+
+    // Pump in the background; errors are reported to the client as STREAM_METHODS.error
+    void this.pumpStream(key, stream, iterable, channel);
+
+    return { streamId };
+  }
+
+  /**
+   * Pull chunks from the handler's iterable while the client has credit
+   */
+  private async pumpStream(
+    key: string,
+    stream: ActiveStream,
+    iterable: AsyncIterable<any> | Iterable<any>,
+    channel: string
+  ): Promise<void> {
+    try {
+      const iterator: AsyncIterator<any> | Iterator<any> =
+        Symbol.asyncIterator in iterable
+          ? (iterable as AsyncIterable<any>)[Symbol.asyncIterator]()
+          : (iterable as Iterable<any>)[Symbol.iterator]();
+
+      while (!stream.cancelled) {
+        if (stream.credit <= 0) {
+          await new Promise<void>((resolve) => {
+            stream.wake = resolve;
+          });
+          stream.wake = undefined;
+          continue;
+        }
+
+        const { value, done } = await iterator.next();
+        if (done || stream.cancelled) {
+          break;
+        }
+
+        stream.credit--;
+        this.sendTo(stream.clientId, STREAM_METHODS.data, stream.streamId, value);
+      }
+
+      if (stream.cancelled) {
+        // Let the generator run its finally blocks
+        await iterator.return?.();
+      } else {
+        this.sendTo(stream.clientId, STREAM_METHODS.end, stream.streamId);
+      }
+    } catch (error) {
+      log.error('Error in stream handler', { channel, clientId: stream.clientId, err: error });
+
+      if (!stream.cancelled) {
+        const streamError = error instanceof Error ? error : new Error(String(error));
+        this.sendTo(stream.clientId, STREAM_METHODS.error, stream.streamId, this.toTransferableError(streamError));
+      }
+    } finally {
+      this.streams.delete(key);
+    }
+  }
+
+  /**
+   * Cancel active stream (renderer stopped consuming or disconnected)
+   */
+  private cancelStream(key: string): void {
+    const stream = this.streams.get(key);
+
+    if (stream) {
+      stream.cancelled = true;
+      stream.controller.abort(new JSONRPCErrorException('Stream cancelled', IPC_ERROR_CODES.RequestCancelled));
+      stream.wake?.();
+    }
+  }
+
+  /**
+   * Create middleware context for a message
+   */
+  private createContext(
+    type: IPCMiddlewareContext['type'],
+    channel: string,
+    args: any[],
+    event: IPCMainEvent
+  ): IPCMiddlewareContext {
+    return {
+      channel,
+      args,
+      clientId: event.sender.id,
+      identity: event.identity,
+      trace: event.trace,
+      type,
+      event,
+      state: {},
+    };
+  }
+
+  /**
+   * Run middleware pipeline, calling the handler at the end
+   * @param ctx - Middleware context
+   * @param handler - Handler/listener invocation (reads ctx.args)
+   * @returns Final ctx.result
+   */
+  private async runMiddleware(ctx: IPCMiddlewareContext, handler: () => any): Promise<any> {
+    let lastIndex = -1;
+
+    const dispatch = async (index: number): Promise<any> => {
+      if (index <= lastIndex) {
+        throw new Error(`[IPC] next() called multiple times in middleware for ${ctx.channel}`);
+      }
+      lastIndex = index;
+
+      const middleware = this.middlewares[index];
+
+      if (!middleware) {
+        ctx.result = await handler();
+        return ctx.result;
+      }
+
+      const returned = await middleware(ctx, () => dispatch(index + 1));
+      if (returned !== undefined) {
+        ctx.result = returned;
+      }
+
+      return ctx.result;
+    };
+
+    return await dispatch(0);
+  }
+
+  /**
+   * Map error thrown by a handler to a JSON-RPC error response
+   * error.data carries the error itself, which the codec serializes
+   * with name, message, custom properties and cause
+   */
+  private createErrorResponse(id: JSONRPCID, error: any): JSONRPCErrorResponse {
+    // Explicit JSON-RPC errors keep their code and data
+    if (error instanceof JSONRPCErrorException) {
+      return createJSONRPCErrorResponse(id, error.code, error.message, error.data);
+    }
+
+    if (!(error instanceof Error)) {
+      return createJSONRPCErrorResponse(id, 0, String(error ?? 'An unexpected error occurred'));
+    }
+
+    return createJSONRPCErrorResponse(id, this.getErrorCode(error), error.message, this.toTransferableError(error));
+  }
+
+  /**
+   * JSON-RPC error code for an error thrown while handling a request
+   * Code 0 matches json-rpc-2.0's default for handler errors
+   */
+  private getErrorCode(error: Error): number {
+    if (error instanceof TimeoutError) {
+      return IPC_ERROR_CODES.RequestTimeout;
+    }
+    if (error instanceof ValidationError) {
+      return JSONRPCErrorCode.InvalidParams;
+    }
+    if (error instanceof ForbiddenError) {
+      return IPC_ERROR_CODES.Forbidden;
+    }
+    if (error instanceof MessageTooLargeError) {
+      return IPC_ERROR_CODES.MessageTooLarge;
+    }
+    return 0;
+  }
+
+  /**
+   * Format validation issues as a single line, e.g. "params/0/title must be string"
+   */
+  private formatIssues(root: string, issues: ValidationIssue[]): string {
+    return issues.map((issue) => `${root}${issue.path} ${issue.message}`).join('; ');
+  }
+
+  /**
+   * Copy error for sending to the renderer, dropping stacks unless exposeErrorStack is set
+   * and properties not allowed by exposeErrorProperties (or this library's error class). Values that cannot be encoded
+   * (e.g. circular request objects) are dropped, so the error response always goes out.
+   */
+  private toTransferableError(error: Error, seen = new Set<Error>()): Error {
+    seen.add(error);
+
+    const copy: any = new Error(error.message);
+    copy.name = error.name;
+
+    if (this.options.exposeErrorStack) {
+      copy.stack = error.stack;
+    } else {
+      delete copy.stack;
+    }
+
+    if ('cause' in error) {
+      const cause = (error as any).cause;
+      // Circular cause chains are cut rather than followed
+      copy.cause = cause instanceof Error
+        ? (seen.has(cause) ? undefined : this.toTransferableError(cause, seen))
+        : (canEncode(cause) ? cause : undefined);
+    }
+
+    const { exposeErrorProperties = true } = this.options;
+    const libraryProperties = LIBRARY_ERROR_PROPERTIES
+      .filter(([errorClass]) => error instanceof errorClass)
+      .flatMap(([, properties]) => properties);
+
+    for (const key of Object.keys(error)) {
+      const allowed = exposeErrorProperties === true
+        || ERROR_PROPERTIES.includes(key)
+        || libraryProperties.includes(key)
+        || (Array.isArray(exposeErrorProperties) && exposeErrorProperties.includes(key));
+
+      if (!allowed || ['name', 'message', 'stack', 'cause'].includes(key)) {
+        continue;
+      }
+
+      const value = (error as any)[key];
+      if (canEncode(value)) {
+        copy[key] = value;
+      } else {
+        log.debug('Dropped error property that cannot be encoded', { name: error.name, property: key });
+      }
+    }
+
+    return copy;
+  }
+
+  /**
+   * Create middleware reading the trace context from the message envelope
+   * Runs first, so the rest of the pipeline and the handler run inside that context
+   */
+  private createTraceMiddleware(): JSONRPCServerMiddleware<IPCServerParams> {
+    return (next, request, serverParams) => {
+      const trace = readTrace(request);
+      if (!trace) {
+        return next(request, serverParams);
+      }
+
+      return runWithTrace(this.options.tracing, trace, () => next(request, { ...serverParams, trace }));
+    };
+  }
+
+  /**
+   * Create middleware giving each request an AbortController,
+   * found by CANCEL_METHOD through `${clientId}:${requestId}`
+   */
+  private createAbortMiddleware(): JSONRPCServerMiddleware<IPCServerParams> {
+    return async (next, request, serverParams) => {
+      if (request.id === undefined || request.id === null) {
+        return next(request, serverParams);
+      }
+
+      const key = `${serverParams.clientId}:${request.id}`;
+      const controller = new AbortController();
+      this.pendingInvokes.set(key, controller);
+
+      try {
+        return await next(request, { ...serverParams, controller });
+      } finally {
+        if (this.pendingInvokes.get(key) === controller) {
+          this.pendingInvokes.delete(key);
+        }
+      }
+    };
+  }
+
+  /**
+   * Create middleware enforcing IPCMainOptions.rateLimit
+   * Runs right after the trace middleware, so rejected calls never reach handlers or ipcMain.use() middleware
+   */
+  private createRateLimitMiddleware(): JSONRPCServerMiddleware<IPCServerParams> {
+    return async (next, request, serverParams) => {
+      // Protocol methods are exempt, except stream starts which run a handler
+      const channel = request.method === STREAM_METHODS.start
+        ? (request.params as any[])?.[1]
+        : request.method;
+
+      if (!this.rateLimiter || typeof channel !== 'string' || channel.startsWith('$/')) {
+        return next(request, serverParams);
+      }
+
+      // Unregistered channels fail with "method not found" without creating buckets
+      const registered = request.method === STREAM_METHODS.start
+        ? this.streamHandlers.has(channel)
+        : this.handlers.has(channel) || this.listeners.has(channel);
+      if (!registered) {
+        return next(request, serverParams);
+      }
+
+      const identity = serverParams.identity ?? this.identities.get(serverParams.clientId);
+      const limited = this.rateLimiter.take(serverParams.clientId, channel, identity);
+      if (!limited) {
+        return next(request, serverParams);
+      }
+
+      log.warn('Rate limit exceeded', {
+        channel,
+        clientId: serverParams.clientId,
+        scope: limited.scope,
+        retryAfter: limited.retryAfter,
+      });
+
+      // Notifications have no response; the message is dropped
+      if (request.id === undefined) {
+        return null;
+      }
+
+      const error = new RateLimitError(`Rate limit exceeded for '${channel}'`, limited.retryAfter);
+      return createJSONRPCErrorResponse(request.id, IPC_ERROR_CODES.RateLimited, error.message, this.toTransferableError(error));
+    };
   }
 
   /**
@@ -308,7 +1513,29 @@ export class IPCMain {
       try {
         return await next(request, serverParams);
       } catch (error) {
-        console.error(`[IPC] Error in handler ${request.method}:`, error);
+        const fields = { channel: request.method, clientId: serverParams?.clientId };
+
+        if (loggedErrors.has(error as Error)) {
+          throw error;
+        }
+
+        // Expected outcomes are not handler failures: log them without stacks, below error level
+        // (timeouts are already reported when the timer fires)
+        if (
+          (error instanceof JSONRPCErrorException && error.code === IPC_ERROR_CODES.RequestCancelled) ||
+          error instanceof TimeoutError
+        ) {
+          log.debug('Request aborted', { ...fields, reason: error.message });
+        } else if (
+          error instanceof ValidationError ||
+          error instanceof ForbiddenError ||
+          error instanceof RateLimitError ||
+          error instanceof MessageTooLargeError
+        ) {
+          log.warn('Request rejected', { ...fields, error: error.name, reason: error.message });
+        } else {
+          log.error('Error in handler', { ...fields, err: error });
+        }
 
         // Re-throw to let JSON-RPC server handle it
         throw error;
@@ -317,5 +1544,6 @@ export class IPCMain {
   }
 }
 
-// Singleton instance
+// Default instance, shared by the module-level APIs
+// Create further instances with `new IPCMain()` to host isolated apps (see createWebServer({ ipc }))
 export const ipcMain = new IPCMain();
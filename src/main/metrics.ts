@@ -0,0 +1,175 @@
+/**
+ * IPC traffic metrics, rendered in the Prometheus text exposition format
+ * Collected by every IPCMain (ipcMain.metrics) and served by the opt-in
+ * /metrics endpoint of createWebServer() / attachIpc().
+ */
+
+/**
+ * Latency histogram buckets (seconds)
+ */
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const PREFIX = 'electron_to_web';
+
+interface InvocationStats {
+  count: number;
+  errors: number;
+  sum: number;
+  buckets: number[]; // Non-cumulative counts per DURATION_BUCKETS entry
+}
+
+/**
+ * Size of an encoded frame in bytes
+ */
+export function frameSize(frame: string | Uint8Array): number {
+  return typeof frame === 'string' ? Buffer.byteLength(frame) : frame.byteLength;
+}
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(values: Record<string, string>): string {
+  const pairs = Object.entries(values).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+export class IPCMetrics {
+  private invocations = new Map<string, InvocationStats>(); // channel -> stats
+  private deliveries = new Map<string, number>(); // channel -> notifications written to clients
+  private denials = new Map<string, { channel: string; reason: string; count: number }>();
+  private bytesIn = 0;
+  private bytesOut = 0;
+  private connections = 0;
+  private reconnects = 0;
+
+  /**
+   * @param getConnectionCount - Current number of connected clients
+   */
+  constructor(private getConnectionCount: () => number) {}
+
+  /**
+   * Record a finished ipcMain.handle() invocation
+   * @param seconds - Time from request to response
+   * @param failed - The invocation ended in an error (including timeouts and cancellation)
+   */
+  recordInvocation(channel: string, seconds: number, failed: boolean): void {
+    let stats = this.invocations.get(channel);
+    if (!stats) {
+      stats = { count: 0, errors: 0, sum: 0, buckets: DURATION_BUCKETS.map(() => 0) };
+      this.invocations.set(channel, stats);
+    }
+
+    stats.count++;
+    stats.sum += seconds;
+    if (failed) {
+      stats.errors++;
+    }
+
+    const bucket = DURATION_BUCKETS.findIndex((bound) => seconds <= bound);
+    if (bucket !== -1) {
+      stats.buckets[bucket]++;
+    }
+  }
+
+  /**
+   * Record notifications written to clients (one per receiving client)
+   */
+  recordDeliveries(channel: string, count: number): void {
+    if (count > 0) {
+      this.deliveries.set(channel, (this.deliveries.get(channel) ?? 0) + count);
+    }
+  }
+
+  recordBytes(direction: 'in' | 'out', bytes: number): void {
+    if (direction === 'in') {
+      this.bytesIn += bytes;
+    } else {
+      this.bytesOut += bytes;
+    }
+  }
+
+  recordConnection(): void {
+    this.connections++;
+  }
+
+  /**
+   * Record a renderer reconnecting after losing its connection
+   */
+  recordReconnect(): void {
+    this.reconnects++;
+  }
+
+  /**
+   * Record a native API call refused by the security config
+   * @param reason - What refused it (e.g. 'disabled', 'path', 'command')
+   */
+  recordDenial(channel: string, reason: string): void {
+    const key = `${channel}\0${reason}`;
+    const denial = this.denials.get(key) ?? { channel, reason, count: 0 };
+    denial.count++;
+    this.denials.set(key, denial);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format (version 0.0.4)
+   */
+  render(): string {
+    const lines: string[] = [];
+    const family = (name: string, type: string, help: string) => {
+      lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`);
+    };
+    const sample = (name: string, values: Record<string, string>, value: number) => {
+      lines.push(`${PREFIX}_${name}${labels(values)} ${value}`);
+    };
+
+    family('invocations_total', 'counter', 'Invocations of ipcMain.handle() channels');
+    for (const [channel, stats] of this.invocations) {
+      sample('invocations_total', { channel }, stats.count);
+    }
+
+    family('invocation_errors_total', 'counter', 'Invocations that ended in an error');
+    for (const [channel, stats] of this.invocations) {
+      sample('invocation_errors_total', { channel }, stats.errors);
+    }
+
+    family('invocation_duration_seconds', 'histogram', 'Time from request to response');
+    for (const [channel, stats] of this.invocations) {
+      let cumulative = 0;
+      DURATION_BUCKETS.forEach((bound, i) => {
+        cumulative += stats.buckets[i];
+        sample('invocation_duration_seconds_bucket', { channel, le: String(bound) }, cumulative);
+      });
+      sample('invocation_duration_seconds_bucket', { channel, le: '+Inf' }, stats.count);
+      sample('invocation_duration_seconds_sum', { channel }, stats.sum);
+      sample('invocation_duration_seconds_count', { channel }, stats.count);
+    }
+
+    family('notification_deliveries_total', 'counter', 'Notifications written to clients (fan-out)');
+    for (const [channel, count] of this.deliveries) {
+      sample('notification_deliveries_total', { channel }, count);
+    }
+
+    family('received_bytes_total', 'counter', 'Bytes received from clients');
+    sample('received_bytes_total', {}, this.bytesIn);
+
+    family('sent_bytes_total', 'counter', 'Bytes sent to clients');
+    sample('sent_bytes_total', {}, this.bytesOut);
+
+    family('connections', 'gauge', 'Currently connected clients');
+    sample('connections', {}, this.getConnectionCount());
+
+    family('connections_total', 'counter', 'Client connections accepted');
+    sample('connections_total', {}, this.connections);
+
+    family('reconnects_total', 'counter', 'Renderer reconnections after a lost connection');
+    sample('reconnects_total', {}, this.reconnects);
+
+    family('security_denials_total', 'counter', 'Native API calls refused by the security config');
+    for (const { channel, reason, count } of this.denials.values()) {
+      sample('security_denials_total', { channel, reason }, count);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
@@ -8,15 +8,27 @@ import { promisify } from 'util';
 import * as path from 'path';
 import * as os from 'os';
 import type { SecurityConfig } from '../shared/security-config.js';
-import { ipcMain } from './ipc-main.js';
+import { ipcMain, type IPCMain } from './ipc-main.js';
+import { createLogger } from '../shared/logger.js';
 
 const execAsync = promisify(exec);
+const log = createLogger('electron-to-web');
 
 /**
  * Register native API handlers with security checks
  * @param securityConfig - Security configuration
+ * @param ipc - IPCMain instance to register on (default: ipcMain)
  */
-export function registerNativeHandlers(securityConfig: Required<SecurityConfig>): void {
+export function registerNativeHandlers(securityConfig: Required<SecurityConfig>, ipc: IPCMain = ipcMain): void {
+  /**
+   * Refuse an operation, counting it in ipc.metrics
+   * @param reason - 'disabled' (operation off), 'path' (path validator) or 'command' (shell command validator)
+   */
+  const deny = (channel: string, reason: string, message: string): never => {
+    ipc.metrics.recordDenial(channel, reason);
+    throw new Error(message);
+  };
+
   // ============================================================================
   // SHELL OPERATIONS
   // ============================================================================
@@ -24,14 +36,14 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
   /**
    * Open file/path in OS default application
    */
-  ipcMain.handle('shell:openPath', async (_event, filePath: string) => {
+  ipc.handle('shell:openPath', async (_event, filePath: string) => {
     // Security check
     if (!securityConfig.allowShellExecution) {
-      throw new Error('[Security] shell:openPath not allowed. Enable allowShellExecution in server config.');
+      deny('shell:openPath', 'disabled', '[Security] shell:openPath not allowed. Enable allowShellExecution in server config.');
     }
 
     if (securityConfig.allowFileSystemAccess && !securityConfig.validateFilePath(filePath)) {
-      throw new Error(`[Security] Path not allowed: ${filePath}`);
+      deny('shell:openPath', 'path', `[Security] Path not allowed: ${filePath}`);
     }
 
     // Validate path exists and is safe
@@ -53,13 +65,13 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
       }
 
       if (!securityConfig.validateShellCommand(command, [normalizedPath])) {
-        throw new Error('[Security] Shell command not allowed by validator');
+        deny('shell:openPath', 'command', '[Security] Shell command not allowed by validator');
       }
 
       await execAsync(command);
       return { success: true };
     } catch (error) {
-      console.error('[shell:openPath] Error:', error);
+      log.error('Native handler failed', { channel: 'shell:openPath', err: error });
       throw new Error(`Failed to open path: ${(error as Error).message}`);
     }
   });
@@ -67,13 +79,13 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
   /**
    * Show file in file manager
    */
-  ipcMain.handle('shell:showItemInFolder', async (_event, fullPath: string) => {
+  ipc.handle('shell:showItemInFolder', async (_event, fullPath: string) => {
     if (!securityConfig.allowShellExecution) {
-      throw new Error('[Security] shell:showItemInFolder not allowed. Enable allowShellExecution in server config.');
+      deny('shell:showItemInFolder', 'disabled', '[Security] shell:showItemInFolder not allowed. Enable allowShellExecution in server config.');
     }
 
     if (securityConfig.allowFileSystemAccess && !securityConfig.validateFilePath(fullPath)) {
-      throw new Error(`[Security] Path not allowed: ${fullPath}`);
+      deny('shell:showItemInFolder', 'path', `[Security] Path not allowed: ${fullPath}`);
     }
 
     const normalizedPath = path.normalize(fullPath);
@@ -96,13 +108,13 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
       }
 
       if (!securityConfig.validateShellCommand(command, [normalizedPath])) {
-        throw new Error('[Security] Shell command not allowed by validator');
+        deny('shell:showItemInFolder', 'command', '[Security] Shell command not allowed by validator');
       }
 
       await execAsync(command);
       return { success: true };
     } catch (error) {
-      console.error('[shell:showItemInFolder] Error:', error);
+      log.error('Native handler failed', { channel: 'shell:showItemInFolder', err: error });
       throw new Error(`Failed to show item: ${(error as Error).message}`);
     }
   });
@@ -110,13 +122,13 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
   /**
    * Move item to trash
    */
-  ipcMain.handle('shell:trashItem', async (_event, fullPath: string) => {
+  ipc.handle('shell:trashItem', async (_event, fullPath: string) => {
     if (!securityConfig.allowShellExecution || !securityConfig.allowFileSystemAccess) {
-      throw new Error('[Security] shell:trashItem not allowed. Enable allowShellExecution and allowFileSystemAccess.');
+      deny('shell:trashItem', 'disabled', '[Security] shell:trashItem not allowed. Enable allowShellExecution and allowFileSystemAccess.');
     }
 
     if (!securityConfig.validateFilePath(fullPath)) {
-      throw new Error(`[Security] Path not allowed: ${fullPath}`);
+      deny('shell:trashItem', 'path', `[Security] Path not allowed: ${fullPath}`);
     }
 
     const normalizedPath = path.normalize(fullPath);
@@ -141,13 +153,13 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
       }
 
       if (!securityConfig.validateShellCommand(command, [normalizedPath])) {
-        throw new Error('[Security] Shell command not allowed by validator');
+        deny('shell:trashItem', 'command', '[Security] Shell command not allowed by validator');
       }
 
       await execAsync(command);
       return { success: true };
     } catch (error) {
-      console.error('[shell:trashItem] Error:', error);
+      log.error('Native handler failed', { channel: 'shell:trashItem', err: error });
       throw new Error(`Failed to trash item: ${(error as Error).message}`);
     }
   });
@@ -159,9 +171,9 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
   /**
    * Get app paths (safer than full filesystem access)
    */
-  ipcMain.handle('app:getPath', async (_event, name: string) => {
+  ipc.handle('app:getPath', async (_event, name: string) => {
     if (!securityConfig.allowPathQueries) {
-      throw new Error('[Security] app:getPath not allowed. Enable allowPathQueries in server config.');
+      deny('app:getPath', 'disabled', '[Security] app:getPath not allowed. Enable allowPathQueries in server config.');
     }
 
     try {
@@ -195,12 +207,12 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
 
       return { path: appPath };
     } catch (error) {
-      console.error('[app:getPath] Error:', error);
+      log.error('Native handler failed', { channel: 'app:getPath', err: error });
       throw new Error(`Failed to get path: ${(error as Error).message}`);
     }
   });
 
-  console.log('[electron-to-web] Native API handlers registered with security config:', {
+  log.info('Native API handlers registered with security config', {
     allowShellExecution: securityConfig.allowShellExecution,
     allowFileSystemAccess: securityConfig.allowFileSystemAccess,
     allowPathQueries: securityConfig.allowPathQueries,
@@ -210,12 +222,13 @@ export function registerNativeHandlers(securityConfig: Required<SecurityConfig>)
 
 /**
  * Unregister all native API handlers
+ * @param ipc - IPCMain instance they were registered on (default: ipcMain)
  */
-export function unregisterNativeHandlers(): void {
-  ipcMain.removeHandler('shell:openPath');
-  ipcMain.removeHandler('shell:showItemInFolder');
-  ipcMain.removeHandler('shell:trashItem');
-  ipcMain.removeHandler('app:getPath');
+export function unregisterNativeHandlers(ipc: IPCMain = ipcMain): void {
+  ipc.removeHandler('shell:openPath');
+  ipc.removeHandler('shell:showItemInFolder');
+  ipc.removeHandler('shell:trashItem');
+  ipc.removeHandler('app:getPath');
 
-  console.log('[electron-to-web] Native API handlers unregistered');
+  log.info('Native API handlers unregistered');
 }
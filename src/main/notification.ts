@@ -1,12 +1,16 @@
 /**
  * Notification API shim
- * Maps Electron's Notification API to console logging
+ * Maps Electron's Notification API to log messages
  *
  * Electron API: https://www.electronjs.org/docs/latest/api/notification
  *
- * Note: Desktop notifications require OS integration. This logs to console.
+ * Note: Desktop notifications require OS integration. This logs them instead.
  */
 
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('Notification');
+
 export interface NotificationOptions {
   title?: string;
   subtitle?: string;
@@ -34,13 +38,13 @@ export class Notification {
       this.body = options.body;
       this.silent = options.silent;
 
-      // Log notification to console in server context
+      // Log notification in server context
       this.logNotification(options);
     }
   }
 
   private logNotification(options: NotificationOptions): void {
-    console.log('[electron-to-web] Notification:', {
+    log.info('Notification', {
       title: options.title,
       subtitle: options.subtitle,
       body: options.body,
@@ -52,14 +56,14 @@ export class Notification {
    * Show the notification
    */
   show(): void {
-    console.log(`[electron-to-web] Notification shown: ${this.title}${this.body ? ' - ' + this.body : ''}`);
+    log.info('Notification shown', { title: this.title, body: this.body });
   }
 
   /**
    * Close the notification
    */
   close(): void {
-    console.log(`[electron-to-web] Notification closed: ${this.title}`);
+    log.info('Notification closed', { title: this.title });
   }
 
   /**
@@ -0,0 +1,184 @@
+/**
+ * Token-bucket rate limiting for IPC channels
+ * Buckets are tracked per caller (client ID, or the key returned by keyBy)
+ */
+
+import type { IPCIdentity } from '../shared/types.js';
+
+/**
+ * Token bucket settings
+ */
+export interface TokenBucketOptions {
+  /** Maximum burst size (tokens) */
+  capacity: number;
+  /** Tokens added per second */
+  refillPerSecond: number;
+}
+
+/**
+ * Rate limit configuration (see IPCMainOptions.rateLimit)
+ */
+export interface RateLimitOptions {
+  /** Bucket shared by all channels, per caller */
+  global?: TokenBucketOptions;
+  /** Bucket for each channel without its own entry in `channels`, per caller */
+  perChannel?: TokenBucketOptions;
+  /** Buckets for specific channels, per caller; null exempts the channel from perChannel */
+  channels?: Record<string, TokenBucketOptions | null>;
+  /**
+   * Key calls are counted under, from the caller's client ID and identity (see authenticateUpgrade)
+   * Default: the client ID. Return a user ID to share limits across a user's connections and
+   * httpRpc calls, or undefined to exempt the caller
+   */
+  keyBy?: (clientId: string, identity: IPCIdentity | undefined) => string | undefined;
+  /** Called for every rejected call, e.g. to record a metric */
+  onLimited?: (info: RateLimitInfo) => void;
+}
+
+/**
+ * Details of a rejected call
+ */
+export interface RateLimitInfo {
+  clientId: string;
+  key: string;
+  channel: string;
+  /** Which bucket ran out */
+  scope: 'global' | 'channel';
+  /** Time until a token is available (ms) */
+  retryAfter: number;
+}
+
+/** Scope of the all-channels bucket; reserved '$/' names never collide with channels */
+const GLOBAL_SCOPE = '$/global';
+
+/** Minimum time between sweeps for idle callers (ms) */
+const PRUNE_INTERVAL = 60_000;
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+export class RateLimiter {
+  /** Buckets by caller key, then by scope (GLOBAL_SCOPE or channel name) */
+  private buckets = new Map<string, Map<string, Bucket>>();
+  private prunedAt = Date.now();
+
+  constructor(private options: RateLimitOptions) {}
+
+  /**
+   * Take a token for a call
+   * @returns undefined if allowed, or details of the rejection
+   */
+  take(clientId: string, channel: string, identity?: IPCIdentity): RateLimitInfo | undefined {
+    const key = this.keyFor(clientId, identity);
+    if (key === undefined) {
+      return undefined;
+    }
+
+    const channelRule = this.ruleFor(channel);
+
+    const now = Date.now();
+    if (now - this.prunedAt >= PRUNE_INTERVAL) {
+      this.prune(now);
+    }
+
+    const global = this.options.global && this.refill(key, GLOBAL_SCOPE, this.options.global, now);
+    const perChannel = channelRule && this.refill(key, channel, channelRule, now);
+
+    // Check every bucket before consuming so a rejection costs nothing
+    if (global && global.tokens < 1) {
+      return this.reject(clientId, key, channel, 'global', global, this.options.global!);
+    }
+    if (perChannel && perChannel.tokens < 1) {
+      return this.reject(clientId, key, channel, 'channel', perChannel, channelRule!);
+    }
+
+    if (global) global.tokens--;
+    if (perChannel) perChannel.tokens--;
+    return undefined;
+  }
+
+  /**
+   * Drop buckets of a caller key
+   */
+  forget(key: string): void {
+    this.buckets.delete(key);
+  }
+
+  /**
+   * Key a client's calls are counted under
+   */
+  keyFor(clientId: string, identity?: IPCIdentity): string | undefined {
+    return this.options.keyBy ? this.options.keyBy(clientId, identity) : clientId;
+  }
+
+  /**
+   * Bucket settings of a scope (GLOBAL_SCOPE or channel name)
+   */
+  private ruleFor(scope: string): TokenBucketOptions | null | undefined {
+    if (scope === GLOBAL_SCOPE) {
+      return this.options.global;
+    }
+    return this.options.channels && Object.prototype.hasOwnProperty.call(this.options.channels, scope)
+      ? this.options.channels[scope]
+      : this.options.perChannel;
+  }
+
+  /**
+   * Drop callers whose buckets have all refilled: a full bucket behaves like a new one,
+   * so callers without a connection to remove (e.g. httpRpc) do not accumulate
+   */
+  private prune(now: number): void {
+    this.prunedAt = now;
+
+    for (const [key, scopes] of this.buckets) {
+      const idle = Array.from(scopes).every(([scope, bucket]) => {
+        const rule = this.ruleFor(scope);
+        return !rule || bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.refillPerSecond >= rule.capacity;
+      });
+      if (idle) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get bucket topped up for the time elapsed since its last use
+   */
+  private refill(key: string, scope: string, rule: TokenBucketOptions, now: number): Bucket {
+    let scopes = this.buckets.get(key);
+    if (!scopes) {
+      scopes = new Map();
+      this.buckets.set(key, scopes);
+    }
+
+    let bucket = scopes.get(scope);
+    if (!bucket) {
+      bucket = { tokens: rule.capacity, updatedAt: now };
+      scopes.set(scope, bucket);
+      return bucket;
+    }
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(rule.capacity, bucket.tokens + elapsed * rule.refillPerSecond);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  private reject(
+    clientId: string,
+    key: string,
+    channel: string,
+    scope: RateLimitInfo['scope'],
+    bucket: Bucket,
+    rule: TokenBucketOptions
+  ): RateLimitInfo {
+    const retryAfter = rule.refillPerSecond > 0
+      ? Math.ceil(((1 - bucket.tokens) / rule.refillPerSecond) * 1000)
+      : Infinity;
+    const info: RateLimitInfo = { clientId, key, channel, scope, retryAfter };
+    this.options.onLimited?.(info);
+    return info;
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Reference pub/sub adapter over a Redis-protocol store (Redis, Valkey, KeyDB, ...)
+ * Takes existing client connections instead of depending on a Redis library.
+ *
+ * Presence is stored per node: a hash of the node's clients that expires unless the
+ * node's heartbeat refreshes it, plus a sorted set of nodes scored by that expiry.
+ * Clients of a crashed node therefore drop out of getPresence() after presenceTtl.
+ */
+
+import type { IPCAdapter, IPCAdapterMessage, IPCPresence } from './adapter.js';
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('IPC');
+
+/**
+ * Commands the adapter needs from a Redis client
+ * Matches ioredis; wrap other clients (e.g. node-redis) to this shape
+ */
+export interface RedisLikeClient {
+  publish(channel: string, message: string): Promise<unknown> | unknown;
+  subscribe(channel: string): Promise<unknown> | unknown;
+  unsubscribe(channel: string): Promise<unknown> | unknown;
+  on(event: 'message', listener: (channel: string, message: string) => void): unknown;
+  off(event: 'message', listener: (channel: string, message: string) => void): unknown;
+  hset(key: string, field: string, value: string): Promise<unknown>;
+  hdel(key: string, ...fields: string[]): Promise<unknown>;
+  hgetall(key: string): Promise<Record<string, string>>;
+  pexpire(key: string, milliseconds: number): Promise<unknown>;
+  zadd(key: string, score: number, member: string): Promise<unknown>;
+  zrem(key: string, ...members: string[]): Promise<unknown>;
+  zrangebyscore(key: string, min: number | string, max: number | string): Promise<string[]>;
+  zremrangebyscore(key: string, min: number | string, max: number | string): Promise<unknown>;
+}
+
+export interface RedisAdapterOptions {
+  /** Connection for publishing and presence commands */
+  pub: RedisLikeClient;
+  /** Separate connection for subscribing (a subscribed Redis connection cannot run other commands) */
+  sub: RedisLikeClient;
+  /** Key and channel prefix, to share one store between apps (default: 'electron-to-web') */
+  prefix?: string;
+  /**
+   * Time a node's presence outlives its last heartbeat (ms, default: 30000)
+   * The heartbeat runs every third of it
+   */
+  presenceTtl?: number;
+}
+
+/**
+ * Wire form of IPCAdapterMessage; binary frames travel as base64
+ */
+interface WireMessage extends Omit<IPCAdapterMessage, 'frame'> {
+  frame: string;
+  binary?: boolean;
+}
+
+export class RedisAdapter implements IPCAdapter {
+  private channel: string;
+  private prefix: string;
+  /** Sorted set of node IDs, scored by the time their presence expires */
+  private nodesKey: string;
+  private presenceTtl: number;
+  /** This node's ID, learned from the presence it records */
+  private nodeId?: string;
+  private clientIds = new Set<string>();
+  private heartbeatTimer?: NodeJS.Timeout;
+  private listener?: (channel: string, data: string) => void;
+
+  constructor(private options: RedisAdapterOptions) {
+    this.prefix = options.prefix ?? 'electron-to-web';
+    this.channel = `${this.prefix}:messages`;
+    this.nodesKey = `${this.prefix}:nodes`;
+    this.presenceTtl = options.presenceTtl ?? 30000;
+  }
+
+  async publish(message: IPCAdapterMessage): Promise<void> {
+    const wire: WireMessage = typeof message.frame === 'string'
+      ? { ...message, frame: message.frame }
+      : { ...message, frame: Buffer.from(message.frame).toString('base64'), binary: true };
+
+    await this.options.pub.publish(this.channel, JSON.stringify(wire));
+  }
+
+  async subscribe(listener: (message: IPCAdapterMessage) => void): Promise<void> {
+    this.listener = (channel, data) => {
+      if (channel !== this.channel) {
+        return;
+      }
+
+      try {
+        const { binary, ...wire }: WireMessage = JSON.parse(data);
+        listener({
+          ...wire,
+          frame: binary ? new Uint8Array(Buffer.from(wire.frame, 'base64')) : wire.frame,
+        });
+      } catch (error) {
+        log.error('Invalid message from Redis adapter', { err: error });
+      }
+    };
+
+    this.options.sub.on('message', this.listener);
+    await this.options.sub.subscribe(this.channel);
+  }
+
+  async setPresence(clientId: string, presence: IPCPresence | undefined): Promise<void> {
+    if (presence) {
+      this.nodeId = presence.nodeId;
+      this.clientIds.add(clientId);
+      await this.options.pub.hset(this.presenceKey(this.nodeId), clientId, JSON.stringify(presence));
+
+      // A new hash has no expiry until refreshed
+      await this.refreshPresence();
+      this.startHeartbeat();
+    } else if (this.nodeId) {
+      this.clientIds.delete(clientId);
+      await this.options.pub.hdel(this.presenceKey(this.nodeId), clientId);
+    }
+  }
+
+  async getPresence(): Promise<Record<string, IPCPresence>> {
+    const nodeIds = await this.options.pub.zrangebyscore(this.nodesKey, Date.now(), '+inf');
+    const hashes = await Promise.all(nodeIds.map((nodeId) => this.options.pub.hgetall(this.presenceKey(nodeId))));
+    const presence: Record<string, IPCPresence> = {};
+
+    for (const entries of hashes) {
+      for (const [clientId, value] of Object.entries(entries ?? {})) {
+        presence[clientId] = JSON.parse(value);
+      }
+    }
+
+    return presence;
+  }
+
+  /**
+   * Stop receiving messages, stop the heartbeat and remove this node's presence
+   * The Redis connections belong to the caller and stay open
+   */
+  async close(): Promise<void> {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = undefined;
+
+    if (this.listener) {
+      this.options.sub.off('message', this.listener);
+      this.listener = undefined;
+      await this.options.sub.unsubscribe(this.channel);
+    }
+
+    if (!this.nodeId) {
+      return;
+    }
+
+    if (this.clientIds.size > 0) {
+      await this.options.pub.hdel(this.presenceKey(this.nodeId), ...this.clientIds);
+      this.clientIds.clear();
+    }
+    await this.options.pub.zrem(this.nodesKey, this.nodeId);
+  }
+
+  /**
+   * Hash of a node's clients
+   */
+  private presenceKey(nodeId: string): string {
+    return `${this.prefix}:presence:${nodeId}`;
+  }
+
+  /**
+   * Keep this node's presence alive for another presenceTtl, and forget expired nodes
+   */
+  private async refreshPresence(): Promise<void> {
+    const now = Date.now();
+    const { pub } = this.options;
+
+    await pub.pexpire(this.presenceKey(this.nodeId!), this.presenceTtl);
+    await pub.zadd(this.nodesKey, now + this.presenceTtl, this.nodeId!);
+    await pub.zremrangebyscore(this.nodesKey, '-inf', now);
+  }
+
+  private startHeartbeat(): void {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      this.refreshPresence().catch((error) => log.error('Failed to refresh presence', { err: error }));
+    }, this.presenceTtl / 3);
+
+    // The heartbeat alone does not keep the process running
+    this.heartbeatTimer.unref?.();
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Channel validation for ipcMain.handle()
+ * Supports a JSON Schema subset or a custom validator function
+ *
+ * Supported JSON Schema keywords:
+ *   type, enum, const, properties, required, additionalProperties,
+ *   items, prefixItems, minItems, maxItems, minLength, maxLength, pattern,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, anyOf, oneOf, allOf, not
+ *
+ * Other keywords are ignored. For full JSON Schema (formats, $ref), pass a
+ * validator function wrapping a library such as Ajv or Zod.
+ */
+
+import type { ValidationIssue } from '../shared/errors.js';
+
+/**
+ * JSON Schema (subset)
+ */
+export interface JSONSchema {
+  type?: JSONSchemaType | JSONSchemaType[];
+  enum?: any[];
+  const?: any;
+  properties?: Record<string, JSONSchema>;
+  required?: string[];
+  additionalProperties?: boolean | JSONSchema;
+  items?: JSONSchema | JSONSchema[];
+  prefixItems?: JSONSchema[];
+  minItems?: number;
+  maxItems?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  anyOf?: JSONSchema[];
+  oneOf?: JSONSchema[];
+  allOf?: JSONSchema[];
+  not?: JSONSchema;
+  [keyword: string]: any;
+}
+
+export type JSONSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+/**
+ * Custom validator
+ * Return true/undefined when valid; false, a message or a list of issues when invalid
+ */
+export type IPCValidator = (value: any) => boolean | string | ValidationIssue[] | void;
+
+/**
+ * Schema accepted by ipcMain.handle() options
+ */
+export type IPCSchema = JSONSchema | IPCValidator;
+
+/**
+ * Create function returning the issues found in a value (empty when valid)
+ */
+export function createValidator(schema: IPCSchema): (value: any) => ValidationIssue[] {
+  if (typeof schema !== 'function') {
+    return (value) => validateSchema(schema, value, '');
+  }
+
+  return (value) => {
+    let result: ReturnType<IPCValidator>;
+
+    try {
+      result = schema(value);
+    } catch (error) {
+      return [{ path: '', message: error instanceof Error ? error.message : String(error) }];
+    }
+
+    if (result === true || result === undefined) {
+      return [];
+    }
+    if (result === false) {
+      return [{ path: '', message: 'is invalid' }];
+    }
+    if (typeof result === 'string') {
+      return [{ path: '', message: result }];
+    }
+    return result;
+  };
+}
+
+/**
+ * Create validator for handler arguments
+ * An array of schemas validates each positional argument and rejects extra ones;
+ * a single schema validates the whole argument array
+ */
+export function createArgsValidator(schema: IPCSchema | IPCSchema[]): (args: any[]) => ValidationIssue[] {
+  if (!Array.isArray(schema)) {
+    return createValidator(schema);
+  }
+
+  const validators = schema.map(createValidator);
+
+  return (args) => {
+    const issues: ValidationIssue[] = [];
+
+    validators.forEach((validate, index) => {
+      if (index >= args.length || args[index] === undefined) {
+        // Positional schemas may opt into optional arguments with a validator function
+        if (typeof schema[index] !== 'function') {
+          issues.push({ path: `/${index}`, message: 'is required' });
+          return;
+        }
+      }
+
+      for (const issue of validate(args[index])) {
+        issues.push({ path: `/${index}${issue.path}`, message: issue.message });
+      }
+    });
+
+    if (args.length > validators.length) {
+      issues.push({ path: '', message: `must have at most ${validators.length} arguments` });
+    }
+
+    return issues;
+  };
+}
+
+/**
+ * Get JSON Schema type of a value
+ */
+function typeOf(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check whether value matches a JSON Schema type
+ */
+function matchesType(value: any, type: JSONSchemaType): boolean {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Structural equality for enum/const
+ */
+function isEqual(a: any, b: any): boolean {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => isEqual(a[key], b[key]));
+}
+
+/**
+ * Validate value against JSON Schema, collecting issues with JSON Pointer paths
+ */
+function validateSchema(schema: JSONSchema, value: any, path: string): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+  const fail = (message: string, at = path) => issues.push({ path: at, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return issues; // Remaining keywords assume the right type
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((option) => isEqual(option, value))) {
+    fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+
+    // Draft 2020-12 prefixItems, or the older tuple form of items
+    const tuple = schema.prefixItems ?? (Array.isArray(schema.items) ? schema.items : undefined);
+    const rest = Array.isArray(schema.items) ? undefined : schema.items;
+
+    value.forEach((item, index) => {
+      const itemSchema = tuple && index < tuple.length ? tuple[index] : rest;
+      if (itemSchema) {
+        issues.push(...validateSchema(itemSchema, item, `${path}/${index}`));
+      }
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties ?? {};
+
+    for (const key of schema.required ?? []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key) || value[key] === undefined) {
+        fail('is required', `${path}/${key}`);
+      }
+    }
+
+    for (const key of Object.keys(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        if (value[key] !== undefined) {
+          issues.push(...validateSchema(properties[key], value[key], `${path}/${key}`));
+        }
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', `${path}/${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validateSchema(schema.additionalProperties, value[key], `${path}/${key}`));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      issues.push(...validateSchema(subschema, value, path));
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some((subschema) => validateSchema(subschema, value, path).length === 0)) {
+    fail('must match a schema in anyOf');
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema) => validateSchema(subschema, value, path).length === 0);
+    if (matches.length !== 1) {
+      fail('must match exactly one schema in oneOf');
+    }
+  }
+
+  if (schema.not && validateSchema(schema.not, value, path).length === 0) {
+    fail('must not match schema in not');
+  }
+
+  return issues;
+}
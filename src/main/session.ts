@@ -7,12 +7,16 @@
  * Note: Full session management requires browser context. This is a minimal shim.
  */
 
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('session');
+
 export class Session {
   /**
    * Get cookies (not supported in server context)
    */
   get cookies(): any {
-    console.warn('[electron-to-web] session.cookies not supported in server context');
+    log.warn('session.cookies not supported in server context');
     return {
       get: async () => [],
       set: async () => {},
@@ -24,14 +28,14 @@ export class Session {
    * Clear cache (no-op in server context)
    */
   async clearCache(): Promise<void> {
-    console.log('[electron-to-web] clearCache called (no-op in server context)');
+    log.info('clearCache called (no-op in server context)');
   }
 
   /**
    * Clear storage data (no-op in server context)
    */
   async clearStorageData(options?: any): Promise<void> {
-    console.log('[electron-to-web] clearStorageData called (no-op in server context)', options);
+    log.info('clearStorageData called (no-op in server context)', { options });
   }
 
   /**
@@ -45,7 +49,7 @@ export class Session {
    * Set download path (no-op in server context)
    */
   setDownloadPath(path: string): void {
-    console.log(`[electron-to-web] setDownloadPath called: ${path} (no-op in server context)`);
+    log.info('setDownloadPath called (no-op in server context)', { path });
   }
 }
 
@@ -4,7 +4,14 @@
  */
 
 export { ipcRenderer } from './ipc-renderer.js';
-export type { IPCEvent } from '../shared/types.js';
+export type { IPCRendererOptions, InvokeOptions, RendererHeartbeatOptions } from './ipc-renderer.js';
+export { ForbiddenError, MessageTooLargeError, RateLimitError, TimeoutError, ValidationError } from '../shared/errors.js';
+export type { ValidationIssue } from '../shared/errors.js';
+export type { IPCEvent, TraceCarrier } from '../shared/types.js';
+export { configureLogging, consoleLogger } from '../shared/logger.js';
+export type { LogFields, LogLevel, Logger, LoggingOptions } from '../shared/logger.js';
+export { noopTracing, openTelemetryTracing } from '../shared/tracing.js';
+export type { IPCTracing, OpenTelemetryApi } from '../shared/tracing.js';
 
 // Native API shims
 export { clipboard } from './clipboard.js';
@@ -3,12 +3,110 @@
  * Provides Electron-compatible IPC API using JSON-RPC over WebSocket
  */
 
-import { JSONRPCClient, JSONRPCRequest } from 'json-rpc-2.0';
-import type { IPCEvent } from '../shared/types.js';
+import {
+  JSONRPCClient,
+  JSONRPCErrorCode,
+  JSONRPCErrorException,
+  JSONRPCRequest,
+  createJSONRPCErrorResponse,
+  createJSONRPCRequest,
+} from 'json-rpc-2.0';
+import { decodeMessage, encodeMessage } from '../shared/codec.js';
+import { ForbiddenError, MessageTooLargeError, RateLimitError, TimeoutError, ValidationError } from '../shared/errors.js';
+import {
+  CANCEL_METHOD,
+  DEFAULT_MAX_MESSAGE_SIZE,
+  IPC_ERROR_CODES,
+  PING_METHOD,
+  RECONNECTED_METHOD,
+  ROOM_METHODS,
+  SHUTDOWN_NOTICE,
+  STREAM_METHODS,
+} from '../shared/types.js';
+import type { IPCEvent, TraceCarrier } from '../shared/types.js';
+import { injectTrace, readTrace, runWithTrace, type IPCTracing } from '../shared/tracing.js';
+import { SSETransport } from './sse-transport.js';
+import { configureLogging, createLogger } from '../shared/logger.js';
+
+const log = createLogger('IPCRenderer');
+const textEncoder = new TextEncoder();
+
+/**
+ * IPCRenderer configuration
+ */
+export interface IPCRendererOptions {
+  /**
+   * Message format for errors thrown by invoke()
+   * - 'original': the handler's error message (default)
+   * - 'electron': "Error invoking remote method '<channel>': <name>: <message>", as in Electron
+   */
+  errorMessageFormat?: 'original' | 'electron';
+  /**
+   * Default invoke timeout (ms); 0 or unset waits indefinitely, as in Electron
+   * Overridden per call with invokeWithOptions({ timeout })
+   */
+  invokeTimeout?: number;
+  /**
+   * Application-level ping/pong detecting stale connections (e.g. after sleep or a proxy
+   * idle timeout); a missed pong closes the socket and reconnects. Pass false to disable.
+   */
+  heartbeat?: RendererHeartbeatOptions | false;
+  /**
+   * Connection transport
+   * - 'auto': WebSocket, falling back to SSE + POST if the WebSocket never opens (default)
+   * - 'websocket' / 'sse': use only that transport
+   */
+  transport?: 'auto' | 'websocket' | 'sse';
+  /**
+   * Trace context propagation (e.g. openTelemetryTracing(otel))
+   * Invokes and sends carry the context active when they are made; listeners run inside
+   * the context of the notification. Default: no-op
+   */
+  tracing?: IPCTracing;
+  /**
+   * Largest message sent to the server (bytes, default: 100 MiB, the server's default maxPayload)
+   * Larger invokes reject with MessageTooLargeError without being sent; match it to the
+   * server's maxPayload so an oversized message never costs the connection
+   */
+  maxMessageSize?: number;
+}
+
+/**
+ * Renderer heartbeat settings (see IPCRendererOptions.heartbeat)
+ */
+export interface RendererHeartbeatOptions {
+  /** Time between pings (ms, default: 25000) */
+  interval?: number;
+  /** Time to wait for the pong before reconnecting (ms, default: 10000) */
+  timeout?: number;
+}
+
+/**
+ * Per-call options for invokeWithOptions()
+ */
+export interface InvokeOptions {
+  /** Cancels the invoke; the handler's event.signal is aborted too */
+  signal?: AbortSignal;
+  /** Rejects with TimeoutError after this many ms and cancels the handler (overrides invokeTimeout) */
+  timeout?: number;
+}
+
+/**
+ * Client-side state of an active stream (see invokeStream)
+ */
+interface RendererStream {
+  queue: any[];
+  done: boolean;
+  error?: Error;
+  /** Chunks consumed since the last ack */
+  consumed: number;
+  /** Resumes the consumer when a chunk, end or error arrives */
+  wake?: () => void;
+}
 
 export class IPCRenderer {
   private client: JSONRPCClient;
-  private ws?: WebSocket;
+  private ws?: WebSocket | SSETransport;
   private listeners = new Map<string, Set<Function>>();
   private messageQueue: any[] = [];
   private connected = false;
@@ -16,6 +114,18 @@ export class IPCRenderer {
   private maxReconnectionAttempts = 10;
   private maxReconnectionDelay = 30000; // 30 seconds
   private reconnectionTimer?: NodeJS.Timeout | number;
+  private heartbeatTimer?: NodeJS.Timeout | number;
+  private streams = new Map<string, RendererStream>();
+  private streamIdCounter = 0;
+  private streamWindow = 16; // Chunks the server may send ahead of the consumer
+  private options: IPCRendererOptions = {};
+  private requestIdCounter = 0;
+  private pendingRequests = new Map<number, number>(); // Frame size (bytes) of requests awaiting a response, by ID
+  private rooms = new Set<string>(); // Rooms to rejoin after reconnecting
+  private serverShuttingDown = false; // Server sent SHUTDOWN_NOTICE on this connection
+  private webSocketOpened = false; // A WebSocket connection has worked on this page
+  private webSocketBlocked = false; // WebSocket failed to open; using the SSE fallback until it closes
+  private everConnected = false; // Later connections are reconnections
 
   constructor() {
     // Create JSON-RPC client
@@ -27,7 +137,7 @@ export class IPCRenderer {
       }
 
       // Send request
-      this.ws!.send(JSON.stringify(request));
+      this.transmit(request);
 
       // Resolve immediately - JSON-RPC client handles its own promise management
       // Responses come via onmessage and are handled by client.receive()
@@ -41,72 +151,290 @@ export class IPCRenderer {
    * Connect to WebSocket server
    */
   private connect(): void {
-    // Determine WebSocket URL
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const host = window.location.host;
-    const wsUrl = `${protocol}//${host}/ipc`;
+    const transport = this.options.transport ?? 'auto';
+    const useSSE = transport === 'sse' || (transport === 'auto' && this.webSocketBlocked);
+    let opened = false;
+
+    if (useSSE) {
+      const sseUrl = `${window.location.protocol}//${host}/ipc/sse`;
+      log.debug('Connecting', { url: sseUrl });
+      this.ws = new SSETransport(sseUrl);
+    } else {
+      // Determine WebSocket URL
+      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+      const wsUrl = `${protocol}//${host}/ipc`;
 
-    console.log('[IPCRenderer] Connecting to:', wsUrl);
+      log.debug('Connecting', { url: wsUrl });
 
-    this.ws = new WebSocket(wsUrl);
+      this.ws = new WebSocket(wsUrl);
+      this.ws.binaryType = 'arraybuffer'; // Binary frames carry binary payloads
+    }
 
     this.ws.onopen = () => {
-      console.log('[IPCRenderer] WebSocket connected');
+      log.info('Connected', { transport: useSSE ? 'sse' : 'websocket' });
+      opened = true;
+      this.webSocketOpened ||= !useSSE;
       this.connected = true;
       this.reconnectionAttempts = 0;
+      this.serverShuttingDown = false;
+      this.scheduleHeartbeat();
 
       // Flush queued messages
       while (this.messageQueue.length > 0) {
         const message = this.messageQueue.shift();
-        this.ws!.send(JSON.stringify(message));
+        this.transmit(message);
+      }
+
+      // Lets the server count reconnections in its metrics
+      if (this.everConnected) {
+        this.notify(RECONNECTED_METHOD, []);
+      }
+      this.everConnected = true;
+
+      // Room membership belongs to the old connection
+      for (const room of this.rooms) {
+        this.request(ROOM_METHODS.join, [room]).catch((error) => {
+          log.error('Failed to rejoin room', { room, err: error });
+          this.rooms.delete(room);
+        });
       }
     };
 
     this.ws.onmessage = (event) => {
       try {
-        const message = JSON.parse(event.data);
+        const message = decodeMessage(event.data);
 
         // Check if it's a notification (no ID)
         if (!('id' in message) && message.method) {
-          this.handleNotification(message.method, message.params || []);
+          // Server is draining; reconnect as soon as it closes the connection
+          if (message.method === SHUTDOWN_NOTICE) {
+            log.info('Server is shutting down');
+            this.serverShuttingDown = true;
+          }
+
+          if (message.method.startsWith('$/stream/')) {
+            this.handleStreamNotification(message.method, message.params || []);
+            return;
+          }
+
+          this.handleNotification(message.method, message.params || [], readTrace(message));
+          return;
+        }
+
+        // The server refuses oversized messages unparsed, so the error cannot name the request
+        if (message.id === null && message.error?.code === IPC_ERROR_CODES.MessageTooLarge) {
+          this.rejectOversizedRequests(message.error);
           return;
         }
 
         // Otherwise, let JSON-RPC client handle response
         this.client.receive(message);
       } catch (error) {
-        console.error('[IPCRenderer] Error parsing message:', error);
+        log.error('Error parsing message', { err: error });
       }
     };
 
-    this.ws.onclose = () => {
-      console.log('[IPCRenderer] WebSocket disconnected');
-      this.connected = false;
+    this.ws.onclose = (event) => {
+      // 1009 (Message Too Big): the server refused a message over its maxPayload
+      if (event.code === 1009) {
+        this.rejectPendingRequests();
+      }
 
-      // Attempt reconnection
-      this.reconnect();
+      // A WebSocket that never opened on this page is likely blocked by a proxy;
+      // switch to the fallback right away instead of backing off
+      if (!opened && !useSSE && transport === 'auto' && !this.webSocketOpened) {
+        log.warn('WebSocket unavailable, falling back to SSE');
+        this.webSocketBlocked = true;
+        this.connect();
+        return;
+      }
+
+      // The fallback is not sticky: the next connection tries the WebSocket first,
+      // e.g. after the page left the network whose proxy blocked it
+      if (useSSE && transport === 'auto') {
+        this.webSocketBlocked = false;
+      }
+
+      this.handleDisconnect();
     };
 
     this.ws.onerror = (error) => {
-      console.error('[IPCRenderer] WebSocket error:', error);
+      log.error('WebSocket error', { err: error });
     };
   }
 
+  /**
+   * Settle in-flight requests after the server closed the connection over an oversized message
+   * The refused request is never answered, and the server aborts the others with the connection.
+   * The largest request sent is taken to be the refused one; the others fail as connection lost.
+   */
+  private rejectPendingRequests(): void {
+    log.warn('Server refused an oversized message', { pending: this.pendingRequests.size });
+
+    let oversized: number | undefined;
+    let largest = 0;
+    for (const [id, size] of this.pendingRequests) {
+      if (size > largest) {
+        oversized = id;
+        largest = size;
+      }
+    }
+
+    for (const id of Array.from(this.pendingRequests.keys())) {
+      this.client.receive(
+        id === oversized
+          ? createJSONRPCErrorResponse(id, IPC_ERROR_CODES.MessageTooLarge, 'Message exceeds the server\'s size limit')
+          : createJSONRPCErrorResponse(id, 0, 'Connection lost before the response arrived')
+      );
+    }
+  }
+
+  /**
+   * Settle the requests refused by a size-limit error without a request ID:
+   * those whose message is larger than the server's limit
+   */
+  private rejectOversizedRequests(error: { message: string; data?: any }): void {
+    const limit = error.data?.limit;
+    if (typeof limit !== 'number') {
+      log.warn('Server refused a message', { err: error });
+      return;
+    }
+
+    for (const [id, size] of Array.from(this.pendingRequests)) {
+      if (size > limit) {
+        this.client.receive(createJSONRPCErrorResponse(id, IPC_ERROR_CODES.MessageTooLarge, error.message, error.data));
+      }
+    }
+  }
+
+  /**
+   * Encode a message and send it on the open connection
+   * A message over maxMessageSize is not sent: a request is rejected with
+   * MessageTooLargeError right away, a notification is dropped
+   */
+  private transmit(message: any): void {
+    const frame = encodeMessage(message);
+    const size = typeof frame === 'string' ? textEncoder.encode(frame).byteLength : frame.byteLength;
+    const limit = this.options.maxMessageSize ?? DEFAULT_MAX_MESSAGE_SIZE;
+
+    if (size > limit) {
+      log.warn('Message not sent: over maxMessageSize', { method: message.method, size, limit });
+      if (message.id !== undefined) {
+        this.client.receive(createJSONRPCErrorResponse(
+          message.id,
+          IPC_ERROR_CODES.MessageTooLarge,
+          `Message of ${size} bytes exceeds the ${limit}-byte limit`,
+          { limit, reason: 'size' }
+        ));
+      }
+      return;
+    }
+
+    if (this.pendingRequests.has(message.id)) {
+      this.pendingRequests.set(message.id, size);
+    }
+    this.ws!.send(frame);
+  }
+
+  /**
+   * Clean up after the connection closed and schedule reconnection
+   */
+  private handleDisconnect(): void {
+    log.info('Disconnected');
+    this.connected = false;
+    clearTimeout(this.heartbeatTimer as number);
+
+    // Active streams cannot resume on a new connection
+    for (const stream of this.streams.values()) {
+      stream.error = new Error('WebSocket disconnected during stream');
+      stream.wake?.();
+    }
+
+    // Attempt reconnection; a planned shutdown skips the backoff so a
+    // load balancer can route the new connection to another server
+    if (this.serverShuttingDown) {
+      this.serverShuttingDown = false;
+      this.reconnectionAttempts = 0;
+      this.reconnect(0);
+      return;
+    }
+
+    this.reconnect();
+  }
+
+  /**
+   * Schedule the next liveness check for the current connection
+   */
+  private scheduleHeartbeat(): void {
+    clearTimeout(this.heartbeatTimer as number);
+
+    const { heartbeat } = this.options;
+    if (heartbeat === false || !this.connected) {
+      return;
+    }
+
+    const interval = heartbeat?.interval ?? 25000;
+    const timeout = heartbeat?.timeout ?? 10000;
+    this.heartbeatTimer = setTimeout(() => this.checkLiveness(timeout), interval);
+  }
+
+  /**
+   * Ping the server; a half-open socket never answers, so drop it and reconnect
+   */
+  private async checkLiveness(timeout: number): Promise<void> {
+    const ws = this.ws;
+
+    try {
+      await this.request(PING_METHOD, [], { timeout });
+    } catch (error) {
+      if (error instanceof TimeoutError && this.ws === ws && this.connected) {
+        log.warn('No heartbeat response, reconnecting', { timeout });
+
+        // onclose would wait for a closing handshake the server never sends
+        this.dropSocket();
+        this.handleDisconnect();
+        return;
+      }
+
+      // Error responses (e.g. servers without $/ping) still prove the connection is alive;
+      // send failures mean it already closed
+      if (!(error instanceof JSONRPCErrorException)) {
+        return;
+      }
+    }
+
+    if (this.ws === ws) {
+      this.scheduleHeartbeat();
+    }
+  }
+
+  /**
+   * Close the current socket without running its handlers
+   */
+  private dropSocket(): void {
+    const ws = this.ws!;
+    ws.onopen = ws.onmessage = ws.onclose = ws.onerror = null;
+    ws.close();
+    this.ws = undefined;
+  }
+
   /**
    * Reconnect with exponential backoff
+   * @param delay - Delay override (ms)
    */
-  private reconnect(): void {
+  private reconnect(delay?: number): void {
     if (this.reconnectionAttempts >= this.maxReconnectionAttempts) {
-      console.error('[IPCRenderer] Max reconnection attempts reached');
+      log.error('Max reconnection attempts reached');
       return;
     }
 
-    const delay = Math.min(
+    delay ??= Math.min(
       1000 * Math.pow(2, this.reconnectionAttempts),
       this.maxReconnectionDelay
     );
 
-    console.log(`[IPCRenderer] Reconnecting in ${delay}ms (attempt ${this.reconnectionAttempts + 1})`);
+    log.info('Reconnecting', { delay, attempt: this.reconnectionAttempts + 1 });
 
     this.reconnectionTimer = setTimeout(() => {
       this.reconnectionAttempts++;
@@ -117,7 +445,7 @@ export class IPCRenderer {
   /**
    * Handle incoming notification from server
    */
-  private handleNotification(channel: string, params: any[]): void {
+  private handleNotification(channel: string, params: any[], trace?: TraceCarrier): void {
     const listeners = this.listeners.get(channel);
 
     if (!listeners || listeners.size === 0) {
@@ -129,16 +457,47 @@ export class IPCRenderer {
       sender: {
         id: 'main',
       },
+      trace,
     };
 
     // Call all listeners
-    for (const listener of listeners) {
-      try {
-        listener(mockEvent, ...params);
-      } catch (error) {
-        console.error(`[IPCRenderer] Error in listener for ${channel}:`, error);
+    runWithTrace(this.options.tracing, trace, () => {
+      for (const listener of listeners) {
+        try {
+          listener(mockEvent, ...params);
+        } catch (error) {
+          log.error('Error in listener', { channel, err: error });
+        }
       }
+    });
+  }
+
+  /**
+   * Handle incoming stream notification from server
+   */
+  private handleStreamNotification(method: string, params: any[]): void {
+    const [streamId, payload] = params;
+    const stream = this.streams.get(streamId);
+
+    if (!stream) {
+      return;
     }
+
+    switch (method) {
+      case STREAM_METHODS.data:
+        stream.queue.push(payload);
+        break;
+      case STREAM_METHODS.end:
+        stream.done = true;
+        break;
+      case STREAM_METHODS.error:
+        stream.error = payload instanceof Error ? payload : new Error(payload?.message ?? 'Stream error');
+        break;
+      default:
+        return;
+    }
+
+    stream.wake?.();
   }
 
   /**
@@ -150,11 +509,202 @@ export class IPCRenderer {
    * @returns Promise resolving to handler's return value
    */
   async invoke<T = any>(channel: string, ...args: any[]): Promise<T> {
+    return this.invokeWithOptions<T>(channel, {}, ...args);
+  }
+
+  /**
+   * Invoke IPC handler with per-call options
+   *
+   * @example
+   * const controller = new AbortController();
+   * const results = ipcRenderer.invokeWithOptions('search', { signal: controller.signal }, query);
+   * controller.abort(); // Rejects with AbortError and aborts event.signal on the server
+   *
+   * @param channel - IPC channel name
+   * @param options - Invoke options (signal)
+   * @param args - Arguments to send
+   * @returns Promise resolving to handler's return value
+   */
+  async invokeWithOptions<T = any>(channel: string, options: InvokeOptions, ...args: any[]): Promise<T> {
     try {
-      return await this.client.request(channel, args);
+      return await this.request(channel, args, options);
     } catch (error) {
-      console.error(`[IPCRenderer] Failed to invoke ${channel}:`, error);
-      throw error;
+      const invokeError = this.toInvokeError(channel, error);
+
+      // Aborts and timeouts are outcomes the caller asked for, not failures
+      if (invokeError instanceof TimeoutError || (invokeError as Error)?.name === 'AbortError') {
+        log.debug('Invoke aborted', { channel, reason: (invokeError as Error).message });
+      } else {
+        log.error('Failed to invoke', { channel, err: invokeError });
+      }
+      throw invokeError;
+    }
+  }
+
+  /**
+   * Rebuild the handler's error from a JSON-RPC error response
+   * Handler errors arrive in error.data with name, code, custom properties and cause
+   */
+  private toInvokeError(channel: string, error: unknown): unknown {
+    // Local errors (abort, connection) are passed through unchanged
+    if (!(error instanceof JSONRPCErrorException)) {
+      return error;
+    }
+
+    let invokeError = error.data instanceof Error ? error.data : error;
+
+    // Handler exceeded its server-side timeout
+    if (error.code === IPC_ERROR_CODES.RequestTimeout) {
+      invokeError = new TimeoutError(invokeError.message, (error.data as any)?.timeout ?? 0);
+    }
+
+    // Caller exceeded a server rate limit
+    if (error.code === IPC_ERROR_CODES.RateLimited) {
+      invokeError = new RateLimitError(invokeError.message, (error.data as any)?.retryAfter ?? 0);
+    }
+
+    // Server denied the operation
+    if (error.code === IPC_ERROR_CODES.Forbidden) {
+      invokeError = new ForbiddenError(invokeError.message);
+    }
+
+    // Message over the server's size or nesting-depth limit
+    if (error.code === IPC_ERROR_CODES.MessageTooLarge) {
+      const { limit = 0, reason = 'size' } = (error.data as any) ?? {};
+      invokeError = new MessageTooLargeError(invokeError.message, limit, reason);
+    }
+
+    // Arguments rejected by the channel's schema
+    if (error.code === JSONRPCErrorCode.InvalidParams && Array.isArray((error.data as any)?.issues)) {
+      invokeError = new ValidationError(invokeError.message, (error.data as any).issues);
+    }
+
+    if (this.options.errorMessageFormat === 'electron') {
+      invokeError.message = `Error invoking remote method '${channel}': ${invokeError.name}: ${invokeError.message}`;
+    }
+
+    return invokeError;
+  }
+
+  /**
+   * Send JSON-RPC request and wait for its response
+   * On abort or timeout, the server is told to cancel and the pending request is settled locally
+   */
+  private async request(method: string, params: any[], options: InvokeOptions = {}): Promise<any> {
+    const { signal } = options;
+    const timeout = options.timeout ?? this.options.invokeTimeout;
+
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+
+    const id = ++this.requestIdCounter;
+    this.pendingRequests.set(id, 0);
+    let timeoutError: TimeoutError | undefined;
+
+    const cancel = () => {
+      this.notify(CANCEL_METHOD, [id]);
+      this.client.receive(
+        createJSONRPCErrorResponse(id, IPC_ERROR_CODES.RequestCancelled, 'Request cancelled')
+      );
+    };
+
+    const timer = timeout && timeout > 0
+      ? setTimeout(() => {
+          timeoutError = new TimeoutError(`Invoke '${method}' timed out after ${timeout}ms`, timeout);
+          cancel();
+        }, timeout)
+      : undefined;
+
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      const response = await this.client.requestAdvanced(
+        injectTrace(this.options.tracing, createJSONRPCRequest(id, method, params))
+      );
+
+      if (timeoutError) {
+        throw timeoutError;
+      }
+
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
+      if (response.error) {
+        throw new JSONRPCErrorException(response.error.message, response.error.code, response.error.data);
+      }
+
+      return response.result;
+    } finally {
+      this.pendingRequests.delete(id);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Invoke streaming handler registered with ipcMain.handleStream()
+   * Breaking out of the loop cancels the stream on the server
+   *
+   * @example
+   * for await (const line of ipcRenderer.invokeStream('logs:tail', file)) {
+   *   console.log(line);
+   * }
+   *
+   * @param channel - IPC channel name
+   * @param args - Arguments to send
+   * @returns Async iterator over the chunks yielded by the handler
+   */
+  async *invokeStream<T = any>(channel: string, ...args: any[]): AsyncGenerator<T, void, undefined> {
+    const streamId = `stream-${++this.streamIdCounter}`;
+    const stream: RendererStream = { queue: [], done: false, consumed: 0 };
+    this.streams.set(streamId, stream);
+
+    try {
+      try {
+        await this.request(STREAM_METHODS.start, [streamId, channel, args, this.streamWindow]);
+      } catch (error) {
+        // Rebuilt like invoke errors (e.g. unknown channel, RateLimitError); no stream to cancel
+        stream.error = this.toInvokeError(channel, error) as Error;
+        throw stream.error;
+      }
+
+      while (true) {
+        if (stream.queue.length > 0) {
+          const chunk = stream.queue.shift();
+
+          // Grant more credit once half the window has been consumed
+          stream.consumed++;
+          if (stream.consumed >= this.streamWindow / 2) {
+            this.notify(STREAM_METHODS.ack, [streamId, stream.consumed]);
+            stream.consumed = 0;
+          }
+
+          yield chunk;
+          continue;
+        }
+
+        if (stream.error) {
+          throw stream.error;
+        }
+
+        if (stream.done) {
+          return;
+        }
+
+        await new Promise<void>((resolve) => {
+          stream.wake = resolve;
+        });
+        stream.wake = undefined;
+      }
+    } finally {
+      this.streams.delete(streamId);
+
+      // Consumer stopped early - let the server stop producing
+      if (!stream.done && !stream.error) {
+        this.notify(STREAM_METHODS.cancel, [streamId]);
+      }
     }
   }
 
@@ -166,14 +716,52 @@ export class IPCRenderer {
    * @param args - Arguments to send
    */
   send(channel: string, ...args: any[]): void {
-    const notification = {
+    this.notify(channel, args);
+  }
+
+  /**
+   * Join a room to receive ipcMain.broadcastTo(room, ...) notifications
+   * The server must allow it (IPCMainOptions.authorizeRoom); otherwise rejects with ForbiddenError.
+   * Rooms are rejoined automatically after reconnecting.
+   *
+   * @param room - Room name, e.g. `doc:${docId}`
+   */
+  async subscribe(room: string): Promise<void> {
+    try {
+      await this.request(ROOM_METHODS.join, [room]);
+    } catch (error) {
+      throw this.toInvokeError(ROOM_METHODS.join, error);
+    }
+
+    this.rooms.add(room);
+  }
+
+  /**
+   * Leave a room joined with subscribe()
+   * @param room - Room name
+   */
+  async unsubscribe(room: string): Promise<void> {
+    this.rooms.delete(room);
+
+    try {
+      await this.request(ROOM_METHODS.leave, [room]);
+    } catch (error) {
+      throw this.toInvokeError(ROOM_METHODS.leave, error);
+    }
+  }
+
+  /**
+   * Send JSON-RPC notification, queueing it until connected
+   */
+  private notify(method: string, params: any[]): void {
+    const notification = injectTrace(this.options.tracing, {
       jsonrpc: '2.0' as const,
-      method: channel,
-      params: args,
-    };
+      method,
+      params,
+    });
 
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(notification));
+      this.transmit(notification);
     } else {
       // Queue for later
       this.messageQueue.push(notification);
@@ -246,6 +834,28 @@ export class IPCRenderer {
     return this;
   }
 
+  /**
+   * Update configuration
+   * @param options - Options to change (others keep their current value)
+   */
+  configure(options: IPCRendererOptions): void {
+    Object.assign(this.options, options);
+
+    if ('heartbeat' in options) {
+      this.scheduleHeartbeat();
+    }
+
+    // Switch a connection made before configure() to the requested transport
+    const { transport } = options;
+    if (this.ws && (transport === 'websocket' || transport === 'sse') && transport !== this.getTransport()) {
+      this.dropSocket();
+      this.connected = false;
+      clearTimeout(this.heartbeatTimer as number);
+      clearTimeout(this.reconnectionTimer as number);
+      this.connect();
+    }
+  }
+
   /**
    * Check if WebSocket is connected
    * @returns True if connected
@@ -254,23 +864,34 @@ export class IPCRenderer {
     return this.connected;
   }
 
+  /**
+   * Transport of the current connection
+   * @returns 'sse' after falling back (or when configured), otherwise 'websocket'
+   */
+  getTransport(): 'websocket' | 'sse' {
+    return this.ws instanceof SSETransport ? 'sse' : 'websocket';
+  }
+
   /**
    * Enable debug logging
+   * Lowers the log level to 'debug' (see configureLogging) and logs every request and send
    */
   enableDebug(): void {
+    configureLogging({ level: 'debug' });
+
     // Log all requests
-    const originalRequest = this.client.request.bind(this.client);
-    this.client.request = async (method: string, params?: any) => {
-      console.log('[IPCRenderer] Request:', method, params);
-      const result = await originalRequest(method, params);
-      console.log('[IPCRenderer] Response:', method, result);
+    const originalRequest = this.request.bind(this);
+    this.request = async (method: string, params: any[], options?: InvokeOptions) => {
+      log.debug('Request', { channel: method, params });
+      const result = await originalRequest(method, params, options);
+      log.debug('Response', { channel: method, result });
       return result;
     };
 
     // Log all notifications
     const originalSend = this.send.bind(this);
     this.send = (channel: string, ...args: any[]) => {
-      console.log('[IPCRenderer] Send:', channel, args);
+      log.debug('Send', { channel, args });
       originalSend(channel, ...args);
     };
   }
@@ -283,9 +904,11 @@ export class IPCRenderer {
       clearTimeout(this.reconnectionTimer as number);
     }
 
+    clearTimeout(this.heartbeatTimer as number);
+
+    // Without its handlers, closing the socket does not schedule a reconnection
     if (this.ws) {
-      this.ws.close();
-      this.ws = undefined;
+      this.dropSocket();
     }
 
     this.connected = false;
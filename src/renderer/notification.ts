@@ -6,6 +6,10 @@
  * Web API: https://developer.mozilla.org/en-US/docs/Web/API/Notifications_API
  */
 
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('Notification');
+
 export interface NotificationOptions {
   title?: string;
   subtitle?: string;
@@ -55,7 +59,7 @@ export class ElectronNotification {
    */
   async show(): Promise<void> {
     if (!('Notification' in window)) {
-      console.warn('[electron-to-web] Notifications not supported');
+      log.warn('Notifications not supported');
       return;
     }
 
@@ -65,7 +69,7 @@ export class ElectronNotification {
     }
 
     if (Notification.permission !== 'granted') {
-      console.warn('[electron-to-web] Notification permission denied');
+      log.warn('Notification permission denied');
       return;
     }
 
@@ -176,7 +180,7 @@ export class ElectronNotification {
         try {
           handler(...args);
         } catch (error) {
-          console.error(`[electron-to-web] Error in notification '${event}' handler:`, error);
+          log.error('Error in notification handler', { event, err: error });
         }
       });
     }
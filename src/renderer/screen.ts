@@ -6,6 +6,10 @@
  * Web API: https://developer.mozilla.org/en-US/docs/Web/API/Screen
  */
 
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('screen');
+
 export interface Display {
   id: number;
   bounds: { x: number; y: number; width: number; height: number };
@@ -78,7 +82,7 @@ export class Screen {
    * Not available in web for security reasons
    */
   getCursorScreenPoint(): Point {
-    console.warn('[electron-to-web] getCursorScreenPoint not available in web (security restriction)');
+    log.warn('getCursorScreenPoint not available in web (security restriction)');
     return { x: 0, y: 0 };
   }
 
@@ -135,7 +139,7 @@ export class Screen {
         try {
           handler(...args);
         } catch (error) {
-          console.error(`[electron-to-web] Error in screen '${event}' handler:`, error);
+          log.error('Error in screen handler', { event, err: error });
         }
       });
     }
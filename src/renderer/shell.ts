@@ -6,6 +6,9 @@
  */
 
 import { ipcRenderer } from './ipc-renderer.js';
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('shell');
 
 export class Shell {
   /**
@@ -40,7 +43,7 @@ export class Shell {
     try {
       await ipcRenderer.invoke('shell:showItemInFolder', fullPath);
     } catch (error) {
-      console.error('[electron-to-web] Failed to show item in folder:', error);
+      log.error('Failed to show item in folder', { err: error });
       throw error;
     }
   }
@@ -54,7 +57,7 @@ export class Shell {
     try {
       await ipcRenderer.invoke('shell:trashItem', path);
     } catch (error) {
-      console.error('[electron-to-web] Failed to trash item:', error);
+      log.error('Failed to trash item', { err: error });
       throw error;
     }
   }
@@ -82,7 +85,7 @@ export class Shell {
       oscillator.start(audioContext.currentTime);
       oscillator.stop(audioContext.currentTime + 0.1);
     } catch (error) {
-      console.warn('[electron-to-web] Failed to play beep:', error);
+      log.warn('Failed to play beep', { err: error });
     }
   }
 
@@ -91,7 +94,7 @@ export class Shell {
    * Not supported in web - requires server-side
    */
   async writeShortcutLink(_shortcutPath: string, _operation: 'create' | 'update' | 'replace', _options: any): Promise<boolean> {
-    console.warn('[electron-to-web] writeShortcutLink not supported in web environment');
+    log.warn('writeShortcutLink not supported in web environment');
     return false;
   }
 
@@ -100,7 +103,7 @@ export class Shell {
    * Not supported in web - requires server-side
    */
   readShortcutLink(_shortcutPath: string): any {
-    console.warn('[electron-to-web] readShortcutLink not supported in web environment');
+    log.warn('readShortcutLink not supported in web environment');
     return null;
   }
 }
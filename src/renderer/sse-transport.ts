@@ -0,0 +1,110 @@
+/**
+ * Client side of the fallback transport for networks that block WebSocket upgrades
+ * Receives frames over Server-Sent Events and POSTs outgoing frames, behind the subset
+ * of the WebSocket interface IPCRenderer uses (see server/sse-connection for the stream format)
+ */
+
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('IPCRenderer');
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+export class SSETransport {
+  readyState = CONNECTING;
+  onopen: ((event: Event) => any) | null = null;
+  onmessage: ((event: MessageEvent) => any) | null = null;
+  onclose: ((event: CloseEvent) => any) | null = null;
+  onerror: ((event: Event) => any) | null = null;
+
+  private source: EventSource;
+  private session?: string;
+  private sending: Promise<void> = Promise.resolve();
+
+  /**
+   * @param url - Event stream URL; messages are POSTed to the same URL
+   */
+  constructor(private url: string) {
+    this.source = new EventSource(url);
+
+    this.source.addEventListener('session', (event) => {
+      this.session = JSON.parse((event as MessageEvent).data).session;
+      this.readyState = OPEN;
+      this.onopen?.(new Event('open'));
+    });
+
+    this.source.onmessage = (event) => {
+      this.onmessage?.(new MessageEvent('message', { data: event.data }));
+    };
+
+    this.source.addEventListener('binary', (event) => {
+      const text = atob((event as MessageEvent).data);
+      const bytes = new Uint8Array(text.length);
+      for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i);
+      }
+      this.onmessage?.(new MessageEvent('message', { data: bytes.buffer }));
+    });
+
+    this.source.addEventListener('close', (event) => {
+      const { code, reason } = JSON.parse((event as MessageEvent).data);
+      this.finish(code, reason);
+    });
+
+    // EventSource would reconnect on its own; IPCRenderer owns reconnection
+    this.source.onerror = (event) => {
+      this.onerror?.(event);
+      this.finish(1006, '');
+    };
+  }
+
+  /**
+   * Send encoded frame
+   * POSTs go out one at a time so the server receives frames in order, as over a WebSocket
+   */
+  send(data: string | Uint8Array): void {
+    if (this.readyState !== OPEN) {
+      return;
+    }
+
+    const session = this.session!;
+    this.sending = this.sending
+      .then(() =>
+        fetch(this.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': typeof data === 'string' ? 'text/plain;charset=UTF-8' : 'application/octet-stream',
+            'X-IPC-Session': session,
+          },
+          body: data as BodyInit,
+          credentials: 'same-origin',
+        })
+      )
+      .then((response) => {
+        if (!response.ok) {
+          throw Object.assign(new Error(`POST failed with status ${response.status}`), { status: response.status });
+        }
+      })
+      .catch((error) => {
+        log.error('SSE transport send failed', { err: error });
+        // 413: the frame exceeded the server's maxPayload, reported like the WebSocket does
+        this.finish(error?.status === 413 ? 1009 : 1006, '');
+      });
+  }
+
+  close(code = 1000, reason = ''): void {
+    this.finish(code, reason);
+  }
+
+  private finish(code: number, reason: string): void {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+
+    this.readyState = CLOSED;
+    this.source.close();
+    this.onclose?.({ code, reason, wasClean: code !== 1006 } as CloseEvent);
+  }
+}
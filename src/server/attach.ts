@@ -0,0 +1,700 @@
+/**
+ * Attach JSON-RPC IPC to an existing HTTP(S) server and Express app
+ * Uses the ws noServer pattern: only upgrade requests for the IPC path are handled,
+ * so other WebSocket servers can share the HTTP server. Listening, TLS, static files
+ * and the server's lifecycle stay with the caller.
+ */
+
+import type { Application, ErrorRequestHandler } from 'express';
+import { WebSocketServer, type PerMessageDeflateOptions as WSDeflateOptions, type WebSocket } from 'ws';
+import { STATUS_CODES, type IncomingMessage, type Server as HTTPServer } from 'http';
+import type { Server as HTTPSServer } from 'https';
+import type { Duplex } from 'stream';
+import { randomBytes } from 'crypto';
+import { JSONRPCErrorCode, createJSONRPCErrorResponse, type JSONRPCResponse } from 'json-rpc-2.0';
+import { ipcMain, type IPCMain, type IPCMainOptions } from '../main/ipc-main.js';
+import { registerNativeHandlers, unregisterNativeHandlers } from '../main/native-handlers.js';
+import { mergeSecurityConfig, type SecurityConfig } from '../shared/security-config.js';
+import { encodeMessage, isBinary } from '../shared/codec.js';
+import { DEFAULT_MAX_MESSAGE_SIZE, IPC_ERROR_CODES, SHUTDOWN_NOTICE, type IPCIdentity } from '../shared/types.js';
+import { SSEConnection } from './sse-connection.js';
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('electron-to-web');
+
+/** Bytes over maxPayload that ws still accepts, so slightly oversized frames get an error response (see AttachOptions.maxPayload) */
+const WS_FRAME_ALLOWANCE = 64 * 1024;
+
+export interface AttachOptions {
+  /** HTTP or HTTPS server whose upgrade requests carry the IPC WebSocket */
+  server: HTTPServer | HTTPSServer;
+
+  /** Express app for the health, SSE fallback and HTTP JSON-RPC routes (omit to attach only the WebSocket) */
+  app?: Application;
+
+  /** WebSocket path (default: '/ipc') */
+  path?: string;
+
+  /**
+   * Authenticate WebSocket upgrade requests (and fallback transport connections)
+   * Return the connection's identity (or true) to accept, false/undefined to reject with 401.
+   * Throw an error with `status` or `statusCode` (e.g. 403) to reject with that status.
+   * The identity is available to handlers as event.identity.
+   */
+  authenticateUpgrade?: (
+    req: IncomingMessage
+  ) => IPCIdentity | boolean | null | undefined | Promise<IPCIdentity | boolean | null | undefined>;
+
+  /** Security configuration for native API operations */
+  security?: SecurityConfig;
+
+  /** Health check route (default: '/api/health'); false to skip it */
+  healthPath?: string | false;
+
+  /**
+   * Serve ipc.metrics in the Prometheus text format (default: false)
+   * true serves GET /metrics; pass { path } for another route. Guard it like any internal route.
+   */
+  metrics?: boolean | { path?: string };
+
+  /**
+   * Serve the fallback transport for clients that cannot open a WebSocket (default: true)
+   * Server-Sent Events at GET `${path}/sse`, client messages via POST to the same path
+   */
+  sseFallback?: boolean;
+
+  /**
+   * Serve JSON-RPC 2.0 over HTTP at POST `${path}/rpc` (default: false)
+   * Requests and batches reach ipcMain.handle() channels through the same middleware,
+   * rate limits and authenticateUpgrade check as WebSocket clients, without a socket
+   */
+  httpRpc?: boolean;
+
+  /**
+   * WebSocket ping/pong keep-alive; connections that miss a pong are terminated
+   * Default: ping every 30s, wait up to 30s for the pong. Pass false to disable.
+   */
+  heartbeat?: HeartbeatOptions | false;
+
+  /**
+   * Largest message accepted from a client (bytes, default: 100 MiB)
+   * Sets maxMessageSize of the IPCMain, which answers larger WebSocket messages with a
+   * MessageTooLargeError and keeps the connection. Frames more than 64 KiB over the limit are
+   * refused before they are buffered and the connection is closed with 1009 (Message Too Big);
+   * fallback and HTTP JSON-RPC bodies over the limit get 413.
+   */
+  maxPayload?: number;
+
+  /**
+   * Deepest nesting of arrays and objects accepted in a message (default: 100)
+   * Sets maxDepth of the IPCMain; deeper requests get a MessageTooLargeError response
+   */
+  maxDepth?: number;
+
+  /**
+   * permessage-deflate compression of WebSocket messages (default: false)
+   * true compresses messages of 1 KiB and more with the default settings. Compression costs
+   * CPU and memory per connection; enable it for large, compressible payloads.
+   */
+  perMessageDeflate?: boolean | PerMessageDeflateOptions;
+
+  /**
+   * IPCMain instance serving this server's clients (default: the shared ipcMain)
+   * Pass `new IPCMain()` to host several isolated apps in one process
+   */
+  ipc?: IPCMain;
+
+  /** Callback when client connects (ws is an SSEConnection for fallback clients) */
+  onConnection?: (ws: WebSocket | SSEConnection, clientId: string) => void;
+
+  /** Callback when client disconnects */
+  onDisconnect?: (clientId: string) => void;
+}
+
+/**
+ * Server heartbeat settings (see AttachOptions.heartbeat)
+ */
+export interface HeartbeatOptions {
+  /** Time between pings (ms, default: 30000) */
+  interval?: number;
+  /** Time to wait for a pong before terminating the connection (ms, default: interval) */
+  timeout?: number;
+}
+
+/**
+ * WebSocket compression settings (see AttachOptions.perMessageDeflate)
+ */
+export interface PerMessageDeflateOptions {
+  /** Smallest message compressed (bytes, default: 1024) */
+  threshold?: number;
+  /** zlib compression level, 0-9 (default: zlib's default, 6) */
+  level?: number;
+  /** Compression jobs run at once, across all connections (default: 10) */
+  concurrencyLimit?: number;
+}
+
+/**
+ * Options for graceful shutdown (close() of attachIpc and createWebServer)
+ */
+export interface ShutdownOptions {
+  /** Maximum time to wait for in-flight handlers before closing connections (ms, default: 10000) */
+  timeout?: number;
+}
+
+/**
+ * IPC attached to a server by attachIpc()
+ */
+export interface AttachedIpc {
+  wss: WebSocketServer;
+  ipc: IPCMain;
+  /**
+   * Shut IPC down gracefully; the server keeps running
+   * IPC upgrades and the routes mounted on the app answer 503 afterwards
+   */
+  close: (options?: ShutdownOptions) => Promise<void>;
+}
+
+let clientIdCounter = 0;
+
+/**
+ * Generate unique client ID
+ * The random part keeps IDs unique across server processes sharing an adapter
+ */
+function generateClientId(): string {
+  return `client-${Date.now()}-${++clientIdCounter}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Path of a request URL, without the query string
+ */
+export function getPathname(req: IncomingMessage): string {
+  return new URL(req.url ?? '/', 'http://localhost').pathname;
+}
+
+/**
+ * Answer an upgrade request with a plain HTTP error response
+ */
+export function rejectUpgrade(socket: Duplex, status: number, message = STATUS_CODES[status] ?? ''): void {
+  socket.once('finish', () => socket.destroy());
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+      'Connection: close\r\n' +
+      'Content-Type: text/plain\r\n' +
+      `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+      `\r\n${message}`
+  );
+}
+
+/**
+ * ws perMessageDeflate setting for AttachOptions.perMessageDeflate (ws fills in unset values)
+ */
+function toDeflateOptions(option: boolean | PerMessageDeflateOptions): WSDeflateOptions | false {
+  if (!option) {
+    return false;
+  }
+
+  const { threshold, level, concurrencyLimit } = option === true ? {} : option;
+  return {
+    threshold,
+    concurrencyLimit,
+    zlibDeflateOptions: level === undefined ? undefined : { level },
+  };
+}
+
+/**
+ * JSON.stringify replacer giving httpRpc responses a plain JSON form
+ * Errors become { name, message, ...properties }, binary data a base64 string and
+ * bigints a decimal string; everything else follows JSON.stringify (Dates as ISO strings)
+ */
+function toPlainJson(this: any, key: string, value: any): any {
+  const raw = this[key];
+
+  if (raw instanceof Error) {
+    return { ...raw, name: raw.name, message: raw.message };
+  }
+  if (isBinary(raw)) {
+    const view = ArrayBuffer.isView(raw) ? raw : new Uint8Array(raw);
+    return Buffer.from(view.buffer, view.byteOffset, view.byteLength).toString('base64');
+  }
+  if (typeof raw === 'bigint') {
+    return raw.toString();
+  }
+  return value;
+}
+
+/**
+ * Serialize httpRpc responses as plain JSON
+ * A response that cannot be serialized (e.g. a circular result) is replaced by an internal error
+ */
+function stringifyResponse(response: JSONRPCResponse | JSONRPCResponse[]): string {
+  try {
+    return JSON.stringify(response, toPlainJson);
+  } catch {
+    const responses = (Array.isArray(response) ? response : [response]).map((one) => {
+      try {
+        return JSON.parse(JSON.stringify(one, toPlainJson));
+      } catch (error) {
+        log.error('Cannot serialize HTTP JSON-RPC response', { id: one.id, err: error });
+        return createJSONRPCErrorResponse(one.id, JSONRPCErrorCode.InternalError, 'Internal error: response cannot be encoded');
+      }
+    });
+    return JSON.stringify(Array.isArray(response) ? responses : responses[0]);
+  }
+}
+
+/**
+ * Attach JSON-RPC IPC to an existing server
+ *
+ * @example
+ * const app = express();
+ * const server = https.createServer(tlsOptions, app);
+ * const { close } = await attachIpc({ server, app, path: '/ipc' });
+ * server.listen(443);
+ *
+ * @param options Attach options
+ * @returns WebSocket server, the IPCMain serving it, and close() for graceful shutdown
+ */
+export async function attachIpc(options: AttachOptions): Promise<AttachedIpc> {
+  const {
+    server,
+    app,
+    path = '/ipc',
+    authenticateUpgrade,
+    security,
+    healthPath = '/api/health',
+    metrics = false,
+    sseFallback = true,
+    httpRpc = false,
+    heartbeat,
+    maxPayload,
+    maxDepth,
+    perMessageDeflate = false,
+    ipc = ipcMain,
+    onConnection,
+    onDisconnect,
+  } = options;
+
+  // Body parsers for the routes; dynamic import keeps express out of WebSocket-only setups
+  let express: any;
+  if (app) {
+    try {
+      express = (await import('express')).default;
+    } catch (error) {
+      throw new Error('express is required. Install it with: npm install express');
+    }
+  }
+
+  // Limits apply to messages from every transport
+  const limits: IPCMainOptions = {};
+  if (maxPayload !== undefined) {
+    limits.maxMessageSize = maxPayload;
+  }
+  if (maxDepth !== undefined) {
+    limits.maxDepth = maxDepth;
+  }
+  ipc.configure(limits);
+
+  const payloadLimit = maxPayload ?? DEFAULT_MAX_MESSAGE_SIZE;
+
+  // Register native API handlers with security config
+  if (security) {
+    const securityConfig = mergeSecurityConfig(security);
+    registerNativeHandlers(securityConfig, ipc);
+  }
+
+  /**
+   * Run authenticateUpgrade for a WebSocket upgrade or fallback transport request
+   * @returns The identity, or the status and message to reject the request with
+   */
+  const authenticate = async (
+    req: IncomingMessage
+  ): Promise<{ identity?: IPCIdentity } | { status: number; message: string }> => {
+    if (!authenticateUpgrade) {
+      return {};
+    }
+
+    try {
+      const identity = await authenticateUpgrade(req);
+      if (!identity) {
+        return { status: 401, message: 'Unauthorized' };
+      }
+      return { identity: typeof identity === 'object' ? identity : undefined };
+    } catch (error: any) {
+      const status = error?.status ?? error?.statusCode;
+      if (typeof status === 'number' && status >= 400 && status < 500) {
+        return { status, message: error.message };
+      }
+
+      log.error('Error authenticating connection', { err: error });
+      return { status: 500, message: 'Internal Server Error' };
+    }
+  };
+
+  // Client IDs of this server's connections
+  const connections = new Map<WebSocket | SSEConnection, string>();
+  let shutdown: Promise<void> | undefined;
+
+  /**
+   * Register new connection with IPCMain, whichever transport it uses
+   */
+  const accept = (ws: WebSocket | SSEConnection, identity?: IPCIdentity): string => {
+    const clientId = generateClientId();
+    connections.set(ws, clientId);
+
+    log.debug('Client connected', { clientId });
+
+    // Register client with the identity resolved during authentication
+    ipc.addClient(clientId, ws, identity);
+
+    // Call user callback
+    if (onConnection) {
+      onConnection(ws, clientId);
+    }
+
+    // Handle disconnection
+    ws.on('close', () => {
+      log.debug('Client disconnected', { clientId });
+      connections.delete(ws);
+      ipc.removeClient(clientId);
+
+      // Call user callback
+      if (onDisconnect) {
+        onDisconnect(clientId);
+      }
+    });
+
+    return clientId;
+  };
+
+  // WebSocket server sharing the HTTP server; upgrades are routed to it below
+  // Frames slightly over the limit still reach IPCMain, which answers them with a proper error
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: payloadLimit + WS_FRAME_ALLOWANCE,
+    perMessageDeflate: toDeflateOptions(perMessageDeflate),
+  });
+
+  const onUpgrade = (req: IncomingMessage, socket: Duplex, head: Buffer) => {
+    // Other paths belong to other upgrade handlers
+    if (getPathname(req) !== path) {
+      return;
+    }
+
+    // Node removes the HTTP server's socket error handler on upgrade;
+    // without this, a client resetting the connection mid-authentication crashes the process
+    socket.on('error', () => socket.destroy());
+
+    if (shutdown) {
+      rejectUpgrade(socket, 503, 'Server shutting down');
+      return;
+    }
+
+    authenticate(req).then((result) => {
+      // Client went away while authenticating
+      if (socket.destroyed) {
+        return;
+      }
+
+      if ('status' in result) {
+        return rejectUpgrade(socket, result.status, result.message);
+      }
+
+      // Shutdown may have started while authenticating
+      if (shutdown) {
+        return rejectUpgrade(socket, 503, 'Server shutting down');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, result.identity);
+      });
+    });
+  };
+
+  server.on('upgrade', onUpgrade);
+
+  // Handle WebSocket connections
+  wss.on('connection', (ws: WebSocket, _req: IncomingMessage, identity?: IPCIdentity) => {
+    const clientId = accept(ws, identity);
+
+    // Handle messages
+    // Binary frames carry binary payloads (see shared/codec)
+    ws.on('message', async (data, isBinary) => {
+      try {
+        const message = isBinary ? (data as Buffer) : data.toString();
+        await ipc.handleMessage(ws, message, clientId);
+      } catch (error) {
+        log.error('Error handling message', { clientId, err: error });
+      }
+    });
+
+    // Handle errors; ws closes the connection with 1009 after an oversized frame
+    ws.on('error', (error: Error & { code?: string }) => {
+      if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+        log.warn('Message rejected', { clientId, reason: 'size', limit: payloadLimit });
+        return;
+      }
+      log.error('WebSocket error', { clientId, err: error });
+    });
+  });
+
+  log.info('WebSocket server listening', { path });
+
+  // Health check endpoint
+  if (app && healthPath !== false) {
+    app.get(healthPath, (_req, res) => {
+      res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        connections: ipc.getClientCount(),
+      });
+    });
+  }
+
+  // Prometheus scrape endpoint
+  if (app && metrics) {
+    const metricsPath = (typeof metrics === 'object' && metrics.path) || '/metrics';
+
+    app.get(metricsPath, (_req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(ipc.metrics.render());
+    });
+
+    log.info('Metrics served', { path: metricsPath });
+  }
+
+  /**
+   * Answer body parser failures on the IPC routes with a JSON-RPC error:
+   * 413 for bodies over maxPayload, 400 for malformed JSON
+   */
+  const onBodyError: ErrorRequestHandler = (error, _req, res, next) => {
+    if (error?.type === 'entity.too.large') {
+      res.status(413).json(createJSONRPCErrorResponse(
+        null,
+        IPC_ERROR_CODES.MessageTooLarge,
+        `Message exceeds the ${payloadLimit}-byte limit`
+      ));
+      return;
+    }
+    if (error?.type === 'entity.parse.failed') {
+      res.status(400).json(createJSONRPCErrorResponse(null, JSONRPCErrorCode.ParseError, 'Parse error'));
+      return;
+    }
+    next(error);
+  };
+
+  // Fallback transport: Server-Sent Events down, POST up
+  const sseSessions = new Map<string, { sse: SSEConnection; clientId: string }>();
+
+  if (app && sseFallback) {
+    const ssePath = `${path}/sse`;
+
+    app.get(ssePath, async (req, res) => {
+      if (shutdown) {
+        res.status(503).set('Connection', 'close').send('Server shutting down');
+        return;
+      }
+
+      const result = await authenticate(req);
+      if ('status' in result) {
+        res.status(result.status).send(result.message);
+        return;
+      }
+
+      const sse = new SSEConnection(res);
+      const clientId = accept(sse, result.identity);
+      sseSessions.set(sse.session, { sse, clientId });
+      sse.on('close', () => sseSessions.delete(sse.session));
+    });
+
+    // Text frames arrive as text/plain, binary frames as application/octet-stream
+    app.post(ssePath, express.raw({ type: () => true, limit: payloadLimit }), (req, res) => {
+      const session = sseSessions.get(req.get('X-IPC-Session') ?? '');
+      if (!session) {
+        res.status(404).send('Unknown session');
+        return;
+      }
+
+      // The app's own parsers may have read the body first
+      const body: Buffer | string = Buffer.isBuffer(req.body) || typeof req.body === 'string' ? req.body : '';
+      const message = req.is('application/octet-stream') && Buffer.isBuffer(body)
+        ? new Uint8Array(body)
+        : body.toString();
+
+      // Responses go out on the event stream, as they would on the WebSocket
+      ipc.handleMessage(session.sse, message, session.clientId).catch((error) => {
+        log.error('Error handling message', { clientId: session.clientId, err: error });
+      });
+      res.sendStatus(202);
+    });
+
+    app.use(ssePath, onBodyError);
+
+    log.info('SSE fallback listening', { path: ssePath });
+  }
+
+  // JSON-RPC over HTTP for callers without a socket (CLI tools, cron jobs, other servers)
+  if (app && httpRpc) {
+    const rpcPath = `${path}/rpc`;
+
+    app.post(rpcPath, express.json({ limit: payloadLimit }), async (req, res) => {
+      if (shutdown) {
+        res.status(503).set('Connection', 'close').send('Server shutting down');
+        return;
+      }
+
+      if (!req.is('application/json') || req.body === undefined) {
+        res.status(415).send('Content-Type must be application/json');
+        return;
+      }
+
+      const result = await authenticate(req);
+      if ('status' in result) {
+        res.status(result.status).send(result.message);
+        return;
+      }
+
+      // Stable per caller, so rate limits apply across requests
+      // (the limiter drops idle callers' buckets once they have refilled)
+      const clientId = `http:${result.identity?.userId ?? req.ip}`;
+
+      try {
+        const response = await ipc.receive(req.body, clientId, result.identity);
+
+        // Only notifications: nothing to return
+        if (response === null) {
+          res.sendStatus(204);
+          return;
+        }
+
+        // Plain JSON both ways: request bodies are not decoded with the IPC codec, so neither are responses
+        res.type('application/json').send(stringifyResponse(response));
+      } catch (error) {
+        log.error('Error handling HTTP JSON-RPC request', { clientId, err: error });
+        res.status(500).send('Internal Server Error');
+      }
+    });
+
+    // Malformed and oversized bodies are rejected by the body parser before the route runs
+    app.use(rpcPath, onBodyError);
+
+    log.info('JSON-RPC over HTTP listening', { path: rpcPath });
+  }
+
+  // Heartbeat to detect dead connections
+  const pongTimers = new Map<WebSocket, NodeJS.Timeout>();
+  let heartbeatInterval: NodeJS.Timeout | undefined;
+
+  if (heartbeat !== false) {
+    const interval = heartbeat?.interval ?? 30000;
+    const timeout = heartbeat?.timeout ?? interval;
+
+    heartbeatInterval = setInterval(() => {
+      wss.clients.forEach((ws) => {
+        // Still waiting for the previous pong
+        if (pongTimers.has(ws)) {
+          return;
+        }
+
+        pongTimers.set(ws, setTimeout(() => {
+          log.warn('No pong received; terminating connection', { clientId: connections.get(ws), timeout });
+          ws.terminate();
+        }, timeout));
+        ws.ping();
+      });
+
+      // Event streams have no pong; a dead client surfaces as a failed write
+      for (const { sse } of sseSessions.values()) {
+        sse.ping();
+      }
+    }, interval);
+
+    wss.on('connection', (ws: WebSocket) => {
+      const alive = () => {
+        clearTimeout(pongTimers.get(ws));
+        pongTimers.delete(ws);
+      };
+
+      ws.on('pong', alive);
+      ws.on('close', alive);
+    });
+  }
+
+  let detached = false;
+
+  /**
+   * Stop the heartbeat, WebSocket server and native handlers
+   * The upgrade handler and routes stay, answering 503
+   */
+  const detach = () => {
+    if (detached) {
+      return;
+    }
+    detached = true;
+
+    clearInterval(heartbeatInterval);
+    wss.close();
+
+    // Unregister native handlers if they were registered
+    if (security) {
+      unregisterNativeHandlers(ipc);
+    }
+  };
+
+  // Cleanup when the server is closed directly
+  server.once('close', detach);
+
+  /**
+   * Shut down gracefully: refuse new connections, tell clients to reconnect elsewhere,
+   * wait for in-flight handlers (up to timeout), then close the remaining connections.
+   */
+  const close = ({ timeout = 10000 }: ShutdownOptions = {}): Promise<void> => {
+    shutdown ??= (async () => {
+      log.info('Shutting down...');
+
+      const notice = encodeMessage({ jsonrpc: '2.0', method: SHUTDOWN_NOTICE, params: [] });
+      for (const ws of connections.keys()) {
+        if (ws.readyState === 1) {
+          // OPEN
+          ws.send(notice);
+        }
+      }
+
+      let timer: NodeJS.Timeout | undefined;
+      const timedOut = await Promise.race([
+        ipc.waitForPending(connections.values()).then(() => false),
+        new Promise<boolean>((resolve) => {
+          timer = setTimeout(() => resolve(true), timeout);
+        }),
+      ]);
+      clearTimeout(timer);
+
+      if (timedOut) {
+        log.warn('Handlers still running at shutdown timeout; closing connections', { timeout });
+      }
+
+      // Disconnecting aborts whatever is still pending (event.signal)
+      const disconnected = Array.from(connections.keys(), (ws) => {
+        const done = new Promise<void>((resolve) => ws.once('close', () => resolve()));
+        ws.close(1001, 'Server shutting down');
+        return done;
+      });
+
+      // Clients that do not complete the close handshake are dropped
+      const grace = setTimeout(() => {
+        for (const ws of connections.keys()) {
+          ws.terminate();
+        }
+      }, 1000);
+
+      await Promise.all(disconnected);
+      clearTimeout(grace);
+
+      // Other nodes stop listing this node's clients
+      await ipc.closeAdapter().catch((error) => log.error('Failed to close adapter', { err: error }));
+      detach();
+    })();
+
+    return shutdown;
+  };
+
+  return { wss, ipc, close };
+}
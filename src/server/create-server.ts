@@ -1,17 +1,21 @@
 /**
  * Server factory
- * Creates Express HTTP server + WebSocket server for JSON-RPC IPC
+ * Creates Express HTTP(S) server + WebSocket server for JSON-RPC IPC
  */
 
 import type { Application, RequestHandler } from 'express';
-import { WebSocketServer, type WebSocket } from 'ws';
-import type { Server as HTTPServer } from 'http';
-import { ipcMain } from '../main/ipc-main.js';
-import { registerNativeHandlers, unregisterNativeHandlers } from '../main/native-handlers.js';
-import { mergeSecurityConfig, type SecurityConfig } from '../shared/security-config.js';
-
-export interface ServerOptions {
-  /** HTTP port (default: 3001) */
+import type { WebSocketServer } from 'ws';
+import { createServer as createHTTPServer, type Server as HTTPServer } from 'http';
+import { createServer as createHTTPSServer, type Server as HTTPSServer } from 'https';
+import type { IPCMain } from '../main/ipc-main.js';
+import { attachIpc, getPathname, rejectUpgrade, type AttachOptions, type ShutdownOptions } from './attach.js';
+import { loadTlsOptions, watchTlsFiles, type HttpsOptions } from './tls.js';
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('electron-to-web');
+
+export interface ServerOptions extends Omit<AttachOptions, 'server' | 'app' | 'path'> {
+  /** HTTP (or HTTPS) port (default: 3001) */
   port?: number;
 
   /** Directory to serve static files from */
@@ -26,43 +30,34 @@ export interface ServerOptions {
     credentials?: boolean;
   };
 
-  /** Authentication middleware */
+  /** Authentication middleware (HTTP routes only; see authenticateUpgrade for the WebSocket) */
   authentication?: RequestHandler;
 
-  /** Security configuration for native API operations */
-  security?: SecurityConfig;
-
-  /** Callback when client connects */
-  onConnection?: (ws: WebSocket, clientId: string) => void;
-
-  /** Callback when client disconnects */
-  onDisconnect?: (clientId: string) => void;
-}
-
-let clientIdCounter = 0;
-
-/**
- * Generate unique client ID
- */
-function generateClientId(): string {
-  return `client-${Date.now()}-${++clientIdCounter}`;
+  /**
+   * Serve HTTPS (and the IPC WebSocket as wss:) on `port` with these certificates
+   * Needed for secure-context browser APIs (clipboard, notifications) without a reverse proxy
+   */
+  https?: HttpsOptions;
 }
 
 /**
  * Create web server with JSON-RPC over WebSocket
+ * To add IPC to a server you already run, use attachIpc() instead.
  *
  * @param options Server configuration options
- * @returns Server instances (app, server, wss)
+ * @returns Server instances (app, server, wss), the IPCMain serving them, and close() for graceful shutdown
  */
 export async function createWebServer(options: ServerOptions = {}): Promise<{
   app: Application;
-  server: HTTPServer;
+  server: HTTPServer | HTTPSServer;
   wss: WebSocketServer;
+  ipc: IPCMain;
+  close: (options?: ShutdownOptions) => Promise<void>;
 }> {
   // Dynamic import of express to avoid bundling in renderer
   let express: any;
   let app: Application;
-  let server: HTTPServer;
+  let server: HTTPServer | HTTPSServer;
 
   try {
     express = (await import('express')).default;
@@ -76,21 +71,15 @@ export async function createWebServer(options: ServerOptions = {}): Promise<{
     wsPath = '/ipc',
     cors = false,
     authentication,
-    security,
-    onConnection,
-    onDisconnect,
+    https,
+    ...attachOptions
   } = options;
 
   app = express();
 
-  // Register native API handlers with security config
-  if (security) {
-    const securityConfig = mergeSecurityConfig(security);
-    registerNativeHandlers(securityConfig);
-  }
-
-  // JSON body parser
-  app.use(express.json());
+  // JSON body parser; the IPC routes under wsPath parse their own bodies, up to maxPayload
+  const jsonParser = express.json();
+  app.use((req, res, next) => (req.path.startsWith(`${wsPath}/`) ? next() : jsonParser(req, res, next)));
 
   // CORS
   if (cors) {
@@ -124,97 +113,92 @@ export async function createWebServer(options: ServerOptions = {}): Promise<{
     app.use(express.static(staticDir));
   }
 
-  // Health check endpoint
-  app.get('/api/health', (_req, res) => {
-    res.json({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      connections: ipcMain['clients'].size,
+  // Start HTTP(S) server
+  if (https) {
+    server = createHTTPSServer(loadTlsOptions(https), app).listen(port, () => {
+      log.info('HTTPS server listening', { port });
     });
-  });
+  } else {
+    server = app.listen(port, () => {
+      log.info('HTTP server listening', { port });
+    });
+  }
 
-  // Start HTTP server
-  server = app.listen(port, () => {
-    console.log(`[electron-to-web] HTTP server listening on port ${port}`);
-  });
+  // Certificates renewed on disk are picked up without a restart
+  const stopWatchingTls = https ? watchTlsFiles(server as HTTPSServer, https) : () => {};
+
+  // Plain HTTP listener sending browsers to the HTTPS origin
+  let redirectServer: HTTPServer | undefined;
+
+  if (https?.redirectPort !== undefined) {
+    const { redirectPort } = https;
+
+    redirectServer = createHTTPServer((req, res) => {
+      const host = (req.headers.host ?? 'localhost').replace(/:\d+$/, '');
+      // 308 keeps the method and body, so POSTs are redirected too
+      res.writeHead(308, {
+        Location: `https://${host}${port === 443 ? '' : `:${port}`}${req.url}`,
+        Connection: 'close',
+      });
+      res.end();
+    }).listen(redirectPort, () => {
+      log.info('Redirecting HTTP to HTTPS', { port: redirectPort });
+    });
+  }
 
-  // Create WebSocket server
-  const wss = new WebSocketServer({
-    server,
-    path: wsPath,
+  // Cleanup on server close
+  server.on('close', () => {
+    stopWatchingTls();
+    if (redirectServer?.listening) {
+      redirectServer.close();
+    }
   });
 
-  console.log(`[electron-to-web] WebSocket server listening on ${wsPath}`);
-
-  // Handle WebSocket connections
-  wss.on('connection', (ws, _req) => {
-    const clientId = generateClientId();
-
-    console.log(`[electron-to-web] Client connected: ${clientId}`);
+  // WebSocket, health check, fallback transports and native handlers
+  const attached = await attachIpc({ ...attachOptions, server, app, path: wsPath });
 
-    // Register client
-    ipcMain.addClient(clientId, ws);
-
-    // Call user callback
-    if (onConnection) {
-      onConnection(ws, clientId);
+  // The server is ours, so no other handler serves upgrades on other paths
+  server.on('upgrade', (req, socket) => {
+    if (getPathname(req) !== wsPath) {
+      rejectUpgrade(socket, 400);
     }
-
-    // Handle messages
-    ws.on('message', async (data) => {
-      try {
-        await ipcMain.handleMessage(ws, data.toString(), clientId);
-      } catch (error) {
-        console.error(`[electron-to-web] Error handling message from ${clientId}:`, error);
-      }
-    });
-
-    // Handle disconnection
-    ws.on('close', () => {
-      console.log(`[electron-to-web] Client disconnected: ${clientId}`);
-      ipcMain.removeClient(clientId);
-
-      // Call user callback
-      if (onDisconnect) {
-        onDisconnect(clientId);
-      }
-    });
-
-    // Handle errors
-    ws.on('error', (error) => {
-      console.error(`[electron-to-web] WebSocket error for ${clientId}:`, error);
-    });
   });
 
-  // Heartbeat to detect dead connections
-  const heartbeatInterval = setInterval(() => {
-    wss.clients.forEach((ws: any) => {
-      if (ws.isAlive === false) {
-        return ws.terminate();
+  let closing: Promise<void> | undefined;
+
+  /**
+   * Shut down gracefully: stop accepting connections, then shut IPC down (see attachIpc)
+   * and wait for the HTTP servers to close. Requests still open after the timeout
+   * (e.g. a hung httpRpc call or an event stream) are cut off. The timeout covers all steps.
+   */
+  const close = (shutdownOptions: ShutdownOptions = {}): Promise<void> => {
+    closing ??= (async () => {
+      const { timeout = 10000 } = shutdownOptions;
+      const deadline = Date.now() + timeout;
+      const servers = [server, ...(redirectServer?.listening ? [redirectServer] : [])];
+      const closed = servers.map((one) => new Promise<void>((resolve) => one.close(() => resolve())));
+
+      await attached.close({ ...shutdownOptions, timeout: Math.max(0, deadline - Date.now()) });
+
+      // Keep-alive sockets (e.g. from fallback POSTs) would hold the servers open
+      for (const one of servers) {
+        one.closeIdleConnections();
       }
 
-      ws.isAlive = false;
-      ws.ping();
-    });
-  }, 30000); // 30 seconds
+      const timer = setTimeout(() => {
+        log.warn('Requests still open at shutdown timeout; closing connections', { timeout });
+        for (const one of servers) {
+          one.closeAllConnections();
+        }
+      }, Math.max(0, deadline - Date.now()));
 
-  wss.on('connection', (ws: any) => {
-    ws.isAlive = true;
-    ws.on('pong', () => {
-      ws.isAlive = true;
-    });
-  });
+      await Promise.all(closed);
+      clearTimeout(timer);
+      log.info('Server closed');
+    })();
 
-  // Cleanup on server close
-  server.on('close', () => {
-    clearInterval(heartbeatInterval);
-    wss.close();
-
-    // Unregister native handlers if they were registered
-    if (security) {
-      unregisterNativeHandlers();
-    }
-  });
+    return closing;
+  };
 
-  return { app, server, wss };
+  return { app, server, wss: attached.wss, ipc: attached.ipc, close };
 }
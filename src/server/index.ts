@@ -4,5 +4,12 @@
 
 export { createWebServer } from "./create-server.js";
 export type { ServerOptions } from "./create-server.js";
+export type { HttpsOptions, PemSource } from "./tls.js";
+export { attachIpc } from "./attach.js";
+export type { AttachOptions, AttachedIpc, HeartbeatOptions, PerMessageDeflateOptions, ShutdownOptions } from "./attach.js";
+export { SSEConnection } from "./sse-connection.js";
 export { TRUSTED_SECURITY_CONFIG, DEFAULT_SECURITY_CONFIG, mergeSecurityConfig } from "../shared/security-config.js";
 export type { SecurityConfig } from "../shared/security-config.js";
+export type { IPCIdentity } from "../shared/types.js";
+export { configureLogging, consoleLogger } from "../shared/logger.js";
+export type { LogFields, LogLevel, Logger, LoggingOptions } from "../shared/logger.js";
@@ -0,0 +1,90 @@
+/**
+ * Server side of the fallback transport for networks that block WebSocket upgrades
+ * Frames to the client are written to a Server-Sent Events stream; frames from the
+ * client arrive as POST requests (see createWebServer). The class mirrors the parts
+ * of a ws WebSocket that IPCMain and the server use, so both transports share one code path.
+ *
+ * Stream events:
+ *   session  {"session": "<token>"}  first event; the client sends it with every POST
+ *   message  <JSON frame>            text frame
+ *   binary   <base64 frame>          binary frame (SSE is text-only)
+ *   close    {"code", "reason"}      server is closing the connection
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import type { ServerResponse } from 'http';
+
+export class SSEConnection extends EventEmitter {
+  /** Token authorizing POSTs for this connection */
+  readonly session = randomBytes(16).toString('hex');
+  readyState = 1; // OPEN
+
+  constructor(private res: ServerResponse) {
+    super();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'close', // Not reused once the stream ends, so shutdown need not wait for it
+      'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.write(`event: session\ndata: ${JSON.stringify({ session: this.session })}\n\n`);
+
+    res.on('close', () => this.finish(1006));
+  }
+
+  /**
+   * Send encoded frame (see shared/codec)
+   */
+  send(frame: string | Uint8Array): void {
+    if (this.readyState !== 1) {
+      return;
+    }
+
+    // Encoded JSON never contains raw newlines, so a frame fits on one data line
+    if (typeof frame === 'string') {
+      this.res.write(`data: ${frame}\n\n`);
+    } else {
+      this.res.write(`event: binary\ndata: ${Buffer.from(frame).toString('base64')}\n\n`);
+    }
+  }
+
+  /**
+   * Write a comment so proxies do not close the idle stream
+   */
+  ping(): void {
+    if (this.readyState === 1) {
+      this.res.write(': ping\n\n');
+    }
+  }
+
+  /**
+   * Tell the client the connection is closing, then end the stream
+   */
+  close(code = 1000, reason = ''): void {
+    if (this.readyState !== 1) {
+      return;
+    }
+
+    this.readyState = 2; // CLOSING
+    this.res.write(`event: close\ndata: ${JSON.stringify({ code, reason })}\n\n`);
+    this.res.end(() => this.finish(code));
+  }
+
+  /**
+   * Drop the stream without notice
+   */
+  terminate(): void {
+    this.res.destroy();
+  }
+
+  private finish(code: number): void {
+    if (this.readyState === 3) {
+      return;
+    }
+
+    this.readyState = 3; // CLOSED
+    this.emit('close', code);
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * TLS settings for createWebServer
+ * Loads certificates from PEM strings, Buffers or files, and reloads file-based
+ * certificates into the running server when they change (e.g. after renewal).
+ */
+
+import { readFileSync, watchFile, unwatchFile, type Stats } from 'fs';
+import type { Server as HTTPSServer, ServerOptions as TLSServerOptions } from 'https';
+import { createLogger } from '../shared/logger.js';
+
+const log = createLogger('electron-to-web');
+
+/**
+ * PEM data, or the path of a file containing it
+ */
+export type PemSource = string | Buffer;
+
+/**
+ * HTTPS settings (see ServerOptions.https)
+ * Strings starting with `-----BEGIN` are PEM data; other strings are file paths.
+ */
+export interface HttpsOptions {
+  /** Private key */
+  key?: PemSource;
+  /** Certificate chain */
+  cert?: PemSource;
+  /** CA certificates to trust (e.g. for client certificates) */
+  ca?: PemSource | PemSource[];
+  /** PKCS#12 bundle, instead of key and cert (Buffer, or a file path) */
+  pfx?: string | Buffer;
+  /** Passphrase for the key or pfx */
+  passphrase?: string;
+
+  /**
+   * Reload certificates from files when they change (default: true)
+   * Files are polled, which survives renewal tools that replace them. Default interval: 5000ms
+   */
+  watch?: boolean | { interval?: number };
+
+  /**
+   * Also listen for plain HTTP on this port and redirect every request to HTTPS
+   */
+  redirectPort?: number;
+}
+
+/**
+ * File path of a source, or undefined for inline data
+ */
+function toPath(source: PemSource, pem: boolean): string | undefined {
+  if (Buffer.isBuffer(source) || (pem && source.trimStart().startsWith('-----BEGIN'))) {
+    return undefined;
+  }
+  return source;
+}
+
+function load(source: PemSource, pem: boolean): string | Buffer {
+  const path = toPath(source, pem);
+  return path === undefined ? source : readFileSync(path);
+}
+
+/**
+ * Read the key material into options for https.createServer() / setSecureContext()
+ */
+export function loadTlsOptions(options: HttpsOptions): TLSServerOptions {
+  const { key, cert, ca, pfx, passphrase } = options;
+
+  if (!pfx && !(key && cert)) {
+    throw new Error('https requires key and cert, or pfx');
+  }
+
+  return {
+    key: key && load(key, true),
+    cert: cert && load(cert, true),
+    ca: ca && (Array.isArray(ca) ? ca.map((source) => load(source, true)) : load(ca, true)),
+    pfx: pfx && load(pfx, false),
+    passphrase,
+  };
+}
+
+/**
+ * Reload the server's certificates whenever one of the files changes
+ * @returns Function that stops watching
+ */
+export function watchTlsFiles(server: HTTPSServer, options: HttpsOptions): () => void {
+  const { key, cert, ca, pfx, watch = true } = options;
+  if (watch === false) {
+    return () => {};
+  }
+
+  const paths = [
+    ...[key, cert, ...(Array.isArray(ca) ? ca : [ca])].map((source) => source && toPath(source, true)),
+    pfx && toPath(pfx, false),
+  ].filter((path): path is string => !!path);
+
+  const interval = (typeof watch === 'object' && watch.interval) || 5000;
+  let pending: NodeJS.Timeout | undefined;
+
+  const onChange = (current: Stats, previous: Stats) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    // Key and certificate are usually replaced together; wait for both
+    clearTimeout(pending);
+    pending = setTimeout(() => {
+      try {
+        server.setSecureContext(loadTlsOptions(options));
+        log.info('TLS certificates reloaded');
+      } catch (error) {
+        // Keep serving the previous certificates (e.g. key and cert do not match yet)
+        log.error('Error reloading TLS certificates', { err: error });
+      }
+    }, interval);
+  };
+
+  for (const path of new Set(paths)) {
+    watchFile(path, { interval, persistent: false }, onChange);
+  }
+
+  return () => {
+    clearTimeout(pending);
+    for (const path of paths) {
+      unwatchFile(path, onChange);
+    }
+  };
+}
@@ -0,0 +1,455 @@
+/**
+ * Message codec shared by main and renderer
+ * Encodes JSON-RPC messages for the WebSocket with structured-clone-compatible
+ * types, moving binary payloads (Buffer, ArrayBuffer, TypedArray, DataView)
+ * out of the JSON envelope
+ *
+ * Values JSON cannot represent are replaced by tagged objects `{ $ipc: <tag>, ... }`:
+ *   undefined, NaN/Infinity/-0, BigInt, Date, RegExp, Map, Set, Error, binary.
+ * Plain objects that have their own `$ipc` key are wrapped as `{ $ipc: 'object', value }`.
+ *
+ * Messages without binary payloads are sent as JSON text frames.
+ * Messages with binary payloads are sent as a single binary frame:
+ *
+ *   [uint32 header length][header JSON (UTF-8)][uint32 length][bytes]...
+ *
+ * Inside the header, each binary value is replaced by a placeholder
+ * `{ $ipc: 'binary', type, index }` pointing at its attachment.
+ */
+
+import { MessageTooLargeError } from './errors.js';
+
+/** Marker key for tagged values */
+const TAG = '$ipc';
+
+/** Returned by encodeValue() for values JSON drops (functions, symbols) */
+const OMIT = Symbol('omit');
+
+/** Error constructors restored by name; other names become Error with that name */
+const ERROR_TYPES: Record<string, ErrorConstructor | undefined> = {
+  Error,
+  EvalError,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  TypeError,
+  URIError,
+};
+
+type TypedArrayConstructor = {
+  new (buffer: ArrayBuffer): ArrayBufferView;
+  BYTES_PER_ELEMENT: number;
+};
+
+const TYPED_ARRAYS: Record<string, TypedArrayConstructor | undefined> = {
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array: typeof BigInt64Array !== 'undefined' ? BigInt64Array : undefined,
+  BigUint64Array: typeof BigUint64Array !== 'undefined' ? BigUint64Array : undefined,
+};
+
+/**
+ * Look up a name from untrusted input in a constructor table
+ * Only own keys count, so names like 'constructor' or '__proto__' find nothing
+ */
+function lookup<T>(table: Record<string, T | undefined>, name: unknown): T | undefined {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+}
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Check if value is a Node.js Buffer (without requiring Buffer in browsers)
+ */
+function isNodeBuffer(value: any): boolean {
+  return typeof Buffer !== 'undefined' && Buffer.isBuffer(value);
+}
+
+/**
+ * Check if value should travel as a binary attachment
+ */
+export function isBinary(value: any): value is ArrayBuffer | ArrayBufferView {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+/**
+ * Get type tag and raw bytes of a binary value
+ */
+function toAttachment(value: ArrayBuffer | ArrayBufferView): { type: string; bytes: Uint8Array } {
+  if (value instanceof ArrayBuffer) {
+    return { type: 'ArrayBuffer', bytes: new Uint8Array(value) };
+  }
+
+  // Tag via toStringTag rather than constructor.name, which minifiers rename
+  const type = isNodeBuffer(value) ? 'Buffer' : Object.prototype.toString.call(value).slice(8, -1);
+  return { type, bytes: new Uint8Array(value.buffer, value.byteOffset, value.byteLength) };
+}
+
+/**
+ * Rebuild binary value from its attachment bytes
+ * Buffers become Uint8Arrays where Buffer is unavailable (browsers), as in Electron
+ */
+function fromAttachment(type: string, bytes: Uint8Array): ArrayBuffer | ArrayBufferView {
+  // Copy so each value owns an aligned ArrayBuffer
+  const buffer = bytes.slice().buffer;
+
+  if (type === 'ArrayBuffer') {
+    return buffer;
+  }
+
+  if (type === 'Buffer' && typeof Buffer !== 'undefined') {
+    return Buffer.from(buffer);
+  }
+
+  if (type === 'DataView') {
+    return new DataView(buffer);
+  }
+
+  const TypedArray = lookup(TYPED_ARRAYS, type) ?? Uint8Array;
+  return new TypedArray(buffer);
+}
+
+/**
+ * Set own property without triggering the __proto__ setter
+ */
+function setOwn(target: Record<string, any>, key: string, value: any): void {
+  if (key === '__proto__') {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * Encode own enumerable properties of an object
+ */
+function encodeProperties(
+  value: Record<string, any>,
+  attachments: Uint8Array[],
+  seen: Set<object>,
+  skip: string[] = []
+): Record<string, any> {
+  const result: Record<string, any> = {};
+
+  for (const key of Object.keys(value)) {
+    if (skip.includes(key)) {
+      continue;
+    }
+
+    const encoded = encodeValue(value[key], attachments, seen);
+    if (encoded !== OMIT) {
+      setOwn(result, key, encoded);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Encode value into JSON-safe form, collecting binary attachments
+ */
+function encodeValue(value: any, attachments: Uint8Array[], seen: Set<object>): any {
+  switch (typeof value) {
+    case 'undefined':
+      return { [TAG]: 'undefined' };
+    case 'number':
+      if (Number.isNaN(value) || !Number.isFinite(value) || Object.is(value, -0)) {
+        return { [TAG]: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+      }
+      return value;
+    case 'bigint':
+      return { [TAG]: 'bigint', value: value.toString() };
+    case 'function':
+    case 'symbol':
+      return OMIT;
+    case 'object':
+      break;
+    default:
+      return value;
+  }
+
+  if (value === null) {
+    return null;
+  }
+
+  if (isBinary(value)) {
+    const { type, bytes } = toAttachment(value);
+    attachments.push(bytes);
+    return { [TAG]: 'binary', type, index: attachments.length - 1 };
+  }
+
+  if (seen.has(value)) {
+    throw new TypeError('Cannot serialize IPC message: circular reference');
+  }
+  seen.add(value);
+
+  try {
+    if (Array.isArray(value)) {
+      return value.map((item) => {
+        const encoded = encodeValue(item, attachments, seen);
+        return encoded === OMIT ? null : encoded;
+      });
+    }
+
+    if (value instanceof Date) {
+      const time = value.getTime();
+      return { [TAG]: 'date', value: Number.isNaN(time) ? null : time };
+    }
+
+    if (value instanceof RegExp) {
+      return { [TAG]: 'regexp', source: value.source, flags: value.flags };
+    }
+
+    if (value instanceof Map) {
+      return {
+        [TAG]: 'map',
+        entries: Array.from(value, ([key, item]) => [
+          encodeValue(key, attachments, seen),
+          encodeValue(item, attachments, seen),
+        ]),
+      };
+    }
+
+    if (value instanceof Set) {
+      return { [TAG]: 'set', values: Array.from(value, (item) => encodeValue(item, attachments, seen)) };
+    }
+
+    if (value instanceof Error) {
+      const encoded: Record<string, any> = { [TAG]: 'error', name: value.name, message: value.message };
+
+      if (value.stack !== undefined) {
+        encoded.stack = value.stack;
+      }
+      if ('cause' in value) {
+        encoded.cause = encodeValue((value as any).cause, attachments, seen);
+      }
+
+      encoded.props = encodeProperties(value, attachments, seen, ['name', 'message', 'stack', 'cause']);
+      return encoded;
+    }
+
+    // Non-plain objects with toJSON keep their JSON form (e.g. URL, Decimal)
+    if (Object.getPrototypeOf(value) !== Object.prototype && typeof value.toJSON === 'function') {
+      return encodeValue(value.toJSON(), attachments, seen);
+    }
+
+    const encoded = encodeProperties(value, attachments, seen);
+    return Object.prototype.hasOwnProperty.call(value, TAG) ? { [TAG]: 'object', value: encoded } : encoded;
+  } finally {
+    seen.delete(value);
+  }
+}
+
+/**
+ * Decode own properties of a JSON object
+ */
+function decodeProperties(value: Record<string, any>, attachments: Uint8Array[]): Record<string, any> {
+  const result: Record<string, any> = {};
+
+  for (const key of Object.keys(value)) {
+    setOwn(result, key, decodeValue(value[key], attachments));
+  }
+
+  return result;
+}
+
+/**
+ * Decode value produced by encodeValue()
+ */
+function decodeValue(value: any, attachments: Uint8Array[]): any {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => decodeValue(item, attachments));
+  }
+
+  switch (value[TAG]) {
+    case 'undefined':
+      return undefined;
+    case 'number':
+      return value.value === '-0' ? -0 : Number(value.value);
+    case 'bigint':
+      return BigInt(value.value);
+    case 'date':
+      return new Date(value.value ?? NaN);
+    case 'regexp':
+      return new RegExp(value.source, value.flags);
+    case 'map':
+      return new Map(
+        (value.entries as any[]).map(([key, item]) => [
+          decodeValue(key, attachments),
+          decodeValue(item, attachments),
+        ])
+      );
+    case 'set':
+      return new Set((value.values as any[]).map((item) => decodeValue(item, attachments)));
+    case 'error': {
+      const ErrorType = lookup(ERROR_TYPES, value.name) ?? Error;
+      const error: any = new ErrorType(value.message);
+
+      if (error.name !== value.name) {
+        error.name = value.name;
+      }
+      if (value.stack !== undefined) {
+        error.stack = value.stack;
+      }
+      if ('cause' in value) {
+        error.cause = decodeValue(value.cause, attachments);
+      }
+
+      Object.assign(error, decodeProperties(value.props ?? {}, attachments));
+      return error;
+    }
+    case 'binary':
+      if (typeof value.index === 'number' && attachments[value.index]) {
+        return fromAttachment(value.type, attachments[value.index]);
+      }
+      break;
+    case 'object':
+      return decodeProperties(value.value, attachments);
+  }
+
+  return decodeProperties(value, attachments);
+}
+
+/**
+ * Check that a value can be encoded (no circular references, no throwing toJSON)
+ */
+export function canEncode(value: unknown): boolean {
+  try {
+    encodeValue(value, [], new Set());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encode message for sending over the WebSocket
+ * @param message - JSON-RPC request, response or notification
+ * @returns JSON string, or binary frame if the message carries binary payloads
+ */
+export function encodeMessage(message: any): string | Uint8Array {
+  const attachments: Uint8Array[] = [];
+  const envelope = encodeValue(message, attachments, new Set());
+
+  if (attachments.length === 0) {
+    return JSON.stringify(envelope);
+  }
+
+  const header = textEncoder.encode(JSON.stringify(envelope));
+  const totalLength = attachments.reduce(
+    (length, bytes) => length + 4 + bytes.byteLength,
+    4 + header.byteLength
+  );
+
+  const frame = new Uint8Array(totalLength);
+  const view = new DataView(frame.buffer);
+  let offset = 0;
+
+  view.setUint32(offset, header.byteLength);
+  frame.set(header, offset + 4);
+  offset += 4 + header.byteLength;
+
+  for (const bytes of attachments) {
+    view.setUint32(offset, bytes.byteLength);
+    frame.set(bytes, offset + 4);
+    offset += 4 + bytes.byteLength;
+  }
+
+  return frame;
+}
+
+/**
+ * Check that parsed JSON nests arrays and objects at most maxDepth levels deep
+ * Iterative, so hostile input cannot overflow the stack here
+ */
+export function withinDepth(value: unknown, maxDepth: number): boolean {
+  const pending: Array<[unknown, number]> = [[value, 1]];
+
+  while (pending.length > 0) {
+    const [item, depth] = pending.pop()!;
+    if (item === null || typeof item !== 'object') {
+      continue;
+    }
+    if (depth > maxDepth) {
+      return false;
+    }
+
+    for (const child of Array.isArray(item) ? item : Object.values(item)) {
+      pending.push([child, depth + 1]);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Throw MessageTooLargeError if a parsed envelope nests deeper than maxDepth
+ */
+function checkDepth(envelope: any, maxDepth: number): void {
+  if (maxDepth !== Infinity && !withinDepth(envelope, maxDepth)) {
+    const id = Array.isArray(envelope) ? null : envelope?.id;
+    throw new MessageTooLargeError(`Message nesting exceeds ${maxDepth} levels`, maxDepth, 'depth', id);
+  }
+}
+
+/**
+ * Decode message received over the WebSocket
+ * @param data - Text frame, or binary frame produced by encodeMessage()
+ * @param maxDepth - Nesting depth limit; deeper messages throw MessageTooLargeError before decoding
+ * @returns Decoded JSON-RPC message
+ */
+export function decodeMessage(data: string | ArrayBuffer | ArrayBufferView, maxDepth = Infinity): any {
+  if (typeof data === 'string') {
+    const envelope = JSON.parse(data);
+    checkDepth(envelope, maxDepth);
+    return decodeValue(envelope, []);
+  }
+
+  const frame = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+
+  if (frame.byteLength < 4) {
+    throw new Error('Invalid binary frame: missing header');
+  }
+
+  const headerLength = view.getUint32(0);
+  if (4 + headerLength > frame.byteLength) {
+    throw new Error('Invalid binary frame: truncated header');
+  }
+
+  const header = textDecoder.decode(frame.subarray(4, 4 + headerLength));
+  const attachments: Uint8Array[] = [];
+  let offset = 4 + headerLength;
+
+  while (offset < frame.byteLength) {
+    if (offset + 4 > frame.byteLength) {
+      throw new Error('Invalid binary frame: truncated attachment');
+    }
+
+    const length = view.getUint32(offset);
+    if (offset + 4 + length > frame.byteLength) {
+      throw new Error('Invalid binary frame: truncated attachment');
+    }
+
+    attachments.push(frame.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+  }
+
+  const envelope = JSON.parse(header);
+  checkDepth(envelope, maxDepth);
+  return decodeValue(envelope, attachments);
+}
@@ -0,0 +1,87 @@
+/**
+ * Error classes shared by main and renderer
+ */
+
+/**
+ * Error thrown when an invoke or handler exceeds its time limit
+ */
+export class TimeoutError extends Error {
+  /** Time limit that was exceeded (ms) */
+  timeout: number;
+
+  constructor(message: string, timeout: number) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Problem found while validating a value
+ */
+export interface ValidationIssue {
+  /** JSON Pointer to the offending value (e.g. "/0/title"), "" for the value itself */
+  path: string;
+  message: string;
+}
+
+/**
+ * Error thrown when invoke arguments fail the channel's schema
+ * Sent to the renderer as JSON-RPC error -32602 (Invalid params)
+ */
+export class ValidationError extends Error {
+  issues: ValidationIssue[];
+
+  constructor(message: string, issues: ValidationIssue[]) {
+    super(message);
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Error returned when a caller exceeds a channel's rate limit
+ * Sent to the renderer as JSON-RPC error -32002
+ */
+export class RateLimitError extends Error {
+  /** Time until the call may be retried (ms) */
+  retryAfter: number;
+
+  constructor(message: string, retryAfter: number) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error returned when the server denies an operation (e.g. joining a room)
+ * Sent to the renderer as JSON-RPC error -32003
+ */
+export class ForbiddenError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Error returned when a message exceeds the server's size or nesting-depth limit
+ * Sent to the renderer as JSON-RPC error -32004
+ */
+export class MessageTooLargeError extends Error {
+  /** Limit that was exceeded: bytes for 'size', nesting levels for 'depth' */
+  limit: number;
+  /** Which limit was exceeded */
+  reason: 'size' | 'depth';
+  /** ID of the request the message carried, when it could be read (the error response goes to it) */
+  requestId?: number | string | null;
+
+  constructor(message: string, limit: number, reason: 'size' | 'depth', requestId?: number | string | null) {
+    super(message);
+    this.name = 'MessageTooLargeError';
+    this.limit = limit;
+    this.reason = reason;
+    this.requestId = requestId;
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Logging shared by main and renderer
+ * Messages go to the console by default. configureLogging() filters them by level
+ * or routes them to a structured logger (pino, winston, ...), with fields such as
+ * clientId and channel kept separate from the message.
+ */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Structured context of a log message (clientId, channel, err, ...)
+ */
+export type LogFields = Record<string, unknown>;
+
+type LogMethod = (fields: LogFields, message: string) => void;
+
+/**
+ * Logger to route messages to
+ * Methods take the fields first, like pino (pass a pino logger as is).
+ * For message-first loggers such as winston, swap the arguments:
+ * `info: (fields, message) => winston.info(message, fields)`
+ */
+export interface Logger {
+  debug: LogMethod;
+  info: LogMethod;
+  warn: LogMethod;
+  error: LogMethod;
+}
+
+export interface LoggingOptions {
+  /** Logger receiving messages (default: the console) */
+  logger?: Logger;
+  /** Least severe level to log (default: 'info') */
+  level?: LogLevel;
+}
+
+/**
+ * Logger of one component; fields are optional
+ */
+export interface ScopedLogger {
+  debug(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  error(message: string, fields?: LogFields): void;
+}
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * Default logger: writes `[scope] message` and the remaining fields to the console
+ */
+export const consoleLogger: Logger = {
+  debug: (fields, message) => writeConsole('debug', fields, message),
+  info: (fields, message) => writeConsole('log', fields, message),
+  warn: (fields, message) => writeConsole('warn', fields, message),
+  error: (fields, message) => writeConsole('error', fields, message),
+};
+
+function writeConsole(method: 'debug' | 'log' | 'warn' | 'error', fields: LogFields, message: string): void {
+  const { scope, err, ...rest } = fields;
+  const args: unknown[] = [`[${scope}] ${message}`];
+
+  if (Object.keys(rest).length > 0) {
+    args.push(rest);
+  }
+  if (err !== undefined) {
+    args.push(err);
+  }
+
+  console[method](...args);
+}
+
+let current: Required<LoggingOptions> = { logger: consoleLogger, level: 'info' };
+
+/**
+ * Set the logger and level for all of electron-to-web in this process (or page)
+ * @param options - Options to change (others keep their current value)
+ */
+export function configureLogging(options: LoggingOptions): void {
+  current = {
+    logger: options.logger ?? current.logger,
+    level: options.level ?? current.level,
+  };
+}
+
+/**
+ * Create the logger of a component
+ * @param scope - Component name, passed to the logger as the `scope` field (e.g. 'IPC')
+ */
+export function createLogger(scope: string): ScopedLogger {
+  const log = (level: Exclude<LogLevel, 'silent'>) => (message: string, fields?: LogFields) => {
+    if (LEVELS[level] >= LEVELS[current.level]) {
+      current.logger[level]({ scope, ...fields }, message);
+    }
+  };
+
+  return { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') };
+}
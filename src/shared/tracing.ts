@@ -0,0 +1,101 @@
+/**
+ * Trace context propagation shared by main and renderer
+ * Messages carry W3C Trace Context (traceparent / tracestate) in a `trace` member of the
+ * JSON-RPC envelope: invokes and sends from the renderer, notifications from main.
+ * The hooks match OpenTelemetry's propagation API (see openTelemetryTracing()); the
+ * default hooks do nothing, so no `trace` member is sent without a tracer.
+ */
+
+import { STREAM_METHODS, type TraceCarrier } from './types.js';
+
+/**
+ * Hooks connecting IPC to a tracer (see IPCMainOptions.tracing / IPCRendererOptions.tracing)
+ */
+export interface IPCTracing {
+  /**
+   * Write the active trace context into an outgoing message's carrier
+   * (e.g. `propagation.inject(context.active(), carrier)`); leave it empty to send none
+   */
+  inject(carrier: TraceCarrier): void;
+  /**
+   * Run fn inside the trace context of an incoming message, so spans started by
+   * handlers and listeners become its children
+   * (e.g. `context.with(propagation.extract(context.active(), carrier), fn)`)
+   */
+  withContext?<T>(carrier: TraceCarrier, fn: () => T): T;
+}
+
+/**
+ * The parts of `@opentelemetry/api` used by openTelemetryTracing()
+ */
+export interface OpenTelemetryApi {
+  context: {
+    active(): any;
+    with(context: any, fn: () => any): any;
+  };
+  propagation: {
+    inject(context: any, carrier: TraceCarrier): void;
+    extract(context: any, carrier: TraceCarrier): any;
+  };
+}
+
+/**
+ * Default hooks: no trace context is sent, received context is only exposed as event.trace
+ */
+export const noopTracing: IPCTracing = {
+  inject: () => {},
+};
+
+/**
+ * Tracing hooks backed by OpenTelemetry's registered propagator (W3C Trace Context by default)
+ * @param api - The `@opentelemetry/api` module (`import * as otel from '@opentelemetry/api'`)
+ */
+export function openTelemetryTracing(api: OpenTelemetryApi): IPCTracing {
+  const { context, propagation } = api;
+
+  return {
+    inject: (carrier) => propagation.inject(context.active(), carrier),
+    withContext: (carrier, fn) => context.with(propagation.extract(context.active(), carrier), fn),
+  };
+}
+
+/**
+ * Add the active trace context to an outgoing message
+ * Reserved protocol messages carry none, except stream starts, which run a handler
+ */
+export function injectTrace<T extends { method: string }>(
+  tracing: IPCTracing = noopTracing,
+  message: T
+): T & { trace?: TraceCarrier } {
+  if (message.method.startsWith('$/') && message.method !== STREAM_METHODS.start) {
+    return message;
+  }
+
+  const carrier: TraceCarrier = {};
+  tracing.inject(carrier);
+
+  return Object.keys(carrier).length > 0 ? { ...message, trace: carrier } : message;
+}
+
+/**
+ * Trace context of an incoming message, if it carries a valid one
+ */
+export function readTrace(message: any): TraceCarrier | undefined {
+  const trace = message?.trace;
+
+  if (typeof trace !== 'object' || trace === null || Array.isArray(trace)) {
+    return undefined;
+  }
+
+  const entries = Object.entries(trace).filter(
+    (entry): entry is [string, string] => typeof entry[1] === 'string'
+  );
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+/**
+ * Run fn inside a message's trace context (directly if it has none)
+ */
+export function runWithTrace<T>(tracing: IPCTracing = noopTracing, trace: TraceCarrier | undefined, fn: () => T): T {
+  return trace && tracing.withContext ? tracing.withContext(trace, fn) : fn();
+}
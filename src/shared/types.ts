@@ -2,6 +2,11 @@
  * Shared types used across main and renderer processes
  */
 
+/**
+ * W3C Trace Context of a message, keyed like the HTTP headers (traceparent, tracestate)
+ */
+export type TraceCarrier = Record<string, string>;
+
 /**
  * IPC Event object (compatible with Electron's IpcMainEvent)
  */
@@ -12,12 +17,134 @@ export interface IPCEvent {
   };
   returnValue?: any;
   preventDefault?: () => void;
+  /** Trace context the sender attached to the message (see IPCTracing) */
+  trace?: TraceCarrier;
+}
+
+/**
+ * Identity of an authenticated connection (see ServerOptions.authenticateUpgrade)
+ */
+export interface IPCIdentity {
+  /** Authenticated user */
+  userId?: string;
+  /** Roles or permissions of the user */
+  roles?: string[];
+  /** Any other claims resolved during authentication */
+  [key: string]: any;
+}
+
+/**
+ * IPC Event object passed to ipcMain handlers and listeners
+ * (compatible with Electron's IpcMainEvent / IpcMainInvokeEvent)
+ */
+export interface IPCMainEvent extends IPCEvent {
+  sender: {
+    /** ID of the client connection that sent the message */
+    id: string;
+    /** Send notification to the client that sent the message */
+    send: (channel: string, ...args: any[]) => void;
+  };
+  /** Reply to the client that sent the message (alias for sender.send) */
+  reply: (channel: string, ...args: any[]) => void;
+  /**
+   * Aborted when the renderer cancels the invoke, the stream is cancelled,
+   * or the client disconnects. Pass it to fs/fetch/child_process to stop work.
+   */
+  signal: AbortSignal;
+  /** Identity attached when the connection was authenticated (undefined if anonymous) */
+  identity?: IPCIdentity;
 }
 
 /**
  * IPC Handler function signature
  */
-export type IPCHandler = (event: IPCEvent, ...args: any[]) => Promise<any> | any;
+export type IPCHandler = (event: IPCMainEvent, ...args: any[]) => Promise<any> | any;
+
+/**
+ * IPC Stream handler function signature (for ipcMain.handleStream)
+ * Usually an async generator function; each yielded value is one chunk
+ */
+export type IPCStreamHandler = (
+  event: IPCMainEvent,
+  ...args: any[]
+) => AsyncIterable<any> | Iterable<any>;
+
+/**
+ * JSON-RPC error codes used beyond the standard -32700..-32603 range
+ */
+export const IPC_ERROR_CODES = {
+  /** Invoke cancelled by the renderer (same code as LSP's RequestCancelled) */
+  RequestCancelled: -32800,
+  /** Invoke or handler exceeded its time limit */
+  RequestTimeout: -32001,
+  /** Caller exceeded a rate limit */
+  RateLimited: -32002,
+  /** Caller is not allowed to perform the operation */
+  Forbidden: -32003,
+  /** Message exceeds the server's size or nesting-depth limit */
+  MessageTooLarge: -32004,
+} as const;
+
+/**
+ * Default limit on the size of a message from a client (100 MiB, as in ws)
+ */
+export const DEFAULT_MAX_MESSAGE_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Default limit on the nesting depth of a message from a client
+ */
+export const DEFAULT_MAX_DEPTH = 100;
+
+/**
+ * Reserved JSON-RPC notification cancelling an in-flight invoke
+ * renderer -> main [requestId]
+ */
+export const CANCEL_METHOD = '$/cancelRequest';
+
+/**
+ * Reserved JSON-RPC methods for the streaming protocol
+ * - start:  renderer -> main request  [streamId, channel, args, credit]
+ * - ack:    renderer -> main notification [streamId, credit]
+ * - cancel: renderer -> main notification [streamId]
+ * - data:   main -> renderer notification [streamId, chunk]
+ * - end:    main -> renderer notification [streamId]
+ * - error:  main -> renderer notification [streamId, { name, message }]
+ */
+export const STREAM_METHODS = {
+  start: '$/stream/start',
+  ack: '$/stream/ack',
+  cancel: '$/stream/cancel',
+  data: '$/stream/data',
+  end: '$/stream/end',
+  error: '$/stream/error',
+} as const;
+
+/**
+ * Notification sent to clients when the server starts a graceful shutdown
+ * Renderers reconnect without backoff once the connection closes
+ */
+export const SHUTDOWN_NOTICE = '$/server/shutting-down';
+
+/**
+ * Reserved request the renderer sends to check the connection is alive
+ * renderer -> main, no params; any response counts
+ */
+export const PING_METHOD = '$/ping';
+
+/**
+ * Reserved notification the renderer sends when a reconnection succeeds (counted in metrics)
+ * renderer -> main, no params
+ */
+export const RECONNECTED_METHOD = '$/reconnected';
+
+/**
+ * Reserved methods for renderer-initiated room subscriptions
+ * join/leave: request, params [room]
+ */
+export const ROOM_METHODS = {
+  join: '$/room/join',
+  leave: '$/room/leave',
+} as const;
 
 /**
  * IPC Listener function signature (for notifications)
@@ -5,10 +5,20 @@
 
 import { describe, it, before, after } from 'mocha';
 import { expect } from 'chai';
-import { WebSocket } from 'ws';
-import { spawn } from 'child_process';
+import { WebSocket, WebSocketServer } from 'ws';
+import { spawn, execFileSync } from 'child_process';
+import { createServer, get as httpGet } from 'http';
+import { connect as tlsConnect } from 'tls';
+import { createServer as createNetServer, connect as netConnect } from 'net';
+import { mkdtempSync, copyFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { AsyncLocalStorage } from 'async_hooks';
+import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { encodeMessage, decodeMessage } from '../dist/shared/codec.js';
+import { ForbiddenError, IPCMain, MemoryAdapter, MemoryBus, RedisAdapter, TimeoutError, configureLogging, consoleLogger, openTelemetryTracing } from '../dist/main/index.js';
+import { attachIpc, createWebServer } from '../dist/server/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -74,9 +84,9 @@ function stopServer() {
 /**
  * Create WebSocket client and wait for connection
  */
-async function createClient() {
+async function createClient(url = WS_URL) {
   return new Promise((resolve, reject) => {
-    const ws = new WebSocket(WS_URL);
+    const ws = new WebSocket(url);
 
     ws.on('open', () => resolve(ws));
     ws.on('error', reject);
@@ -124,6 +134,39 @@ function sendRequest(ws, method, params = [], id = Date.now()) {
   });
 }
 
+/**
+ * Send JSON-RPC request through the message codec (binary frames)
+ * and wait for the decoded response
+ */
+function sendCodecRequest(ws, method, params = [], id = Date.now()) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new Error(`Request timeout for ${method}`));
+    }, 5000);
+
+    const messageHandler = (data, isBinary) => {
+      const message = decodeMessage(isBinary ? data : data.toString());
+
+      if (message.id === id) {
+        clearTimeout(timeout);
+        ws.off('message', messageHandler);
+
+        if (message.error) {
+          reject(Object.assign(new Error(message.error.message), {
+            code: message.error.code,
+            data: message.error.data,
+          }));
+        } else {
+          resolve({ result: message.result, isBinary });
+        }
+      }
+    };
+
+    ws.on('message', messageHandler);
+    ws.send(encodeMessage({ jsonrpc: '2.0', id, method, params }));
+  });
+}
+
 /**
  * Wait for notification
  */
@@ -148,6 +191,83 @@ function waitForNotification(ws, method, timeout = 5000) {
   });
 }
 
+let rendererModule;
+
+/**
+ * Minimal EventSource for IPCRenderer's fallback transport under Node
+ * Dispatches named and unnamed events; reports the end of the stream as an error
+ */
+class NodeEventSource {
+  constructor(url) {
+    this.listeners = new Map();
+    this.onmessage = null;
+    this.onerror = null;
+    this.controller = new AbortController();
+    this.read(url).catch((error) => {
+      if (!this.controller.signal.aborted) this.onerror?.(error);
+    });
+  }
+
+  async read(url) {
+    const response = await fetch(url, { signal: this.controller.signal });
+    if (!response.ok) throw new Error(`Event stream failed with status ${response.status}`);
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        const type = block.match(/^event: (.*)$/m)?.[1] ?? 'message';
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        if (data === undefined) continue;
+
+        if (type === 'message') this.onmessage?.({ data });
+        for (const listener of this.listeners.get(type) ?? []) listener({ data });
+      }
+    }
+    throw new Error('Event stream ended');
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.set(type, [...(this.listeners.get(type) ?? []), listener]);
+  }
+
+  close() {
+    this.controller.abort();
+  }
+}
+
+/**
+ * Create an IPCRenderer connected to a local server, as on a page served by it
+ * Provides the browser globals it uses (WebSocket, window.location). Loading the module
+ * also connects its default instance, to the main test server.
+ */
+async function createRenderer(port, options = {}) {
+  globalThis.WebSocket ??= WebSocket;
+  globalThis.EventSource ??= NodeEventSource;
+  globalThis.window ??= { location: { protocol: 'http:', host: 'localhost:3001' } };
+  rendererModule ??= await import('../dist/renderer/ipc-renderer.js');
+
+  window.location.host = `localhost:${port}`;
+  const renderer = new rendererModule.IPCRenderer();
+  renderer.configure(options);
+
+  const deadline = Date.now() + 5000;
+  while (!renderer.isConnected()) {
+    if (Date.now() > deadline) {
+      renderer.disconnect();
+      throw new Error(`Renderer could not connect to port ${port}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return renderer;
+}
+
 // Test suite setup/teardown
 before(async function() {
   this.timeout(10000);
@@ -157,6 +277,7 @@ before(async function() {
 
 after(function() {
   console.log('\n🛑 Stopping test server...\n');
+  rendererModule?.ipcRenderer.disconnect();
   stopServer();
 });
 
@@ -448,7 +569,7 @@ describe('Electron IPC Compatibility Tests', function() {
     });
   });
 
-  describe('Data Type Support', function() {
+  describe('Error Propagation', function() {
     let ws;
 
     before(async function() {
@@ -461,79 +582,102 @@ describe('Electron IPC Compatibility Tests', function() {
       }
     });
 
-    it('should handle null values', async function() {
-      const result = await sendRequest(ws, 'echo', [null]);
-      expect(result).to.deep.equal([null]);
+    it('should propagate error name, code, custom fields and cause', async function() {
+      try {
+        await sendCodecRequest(ws, 'error:custom', ['42']);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Snippet 42 not found');
+
+        const remote = error.data;
+        expect(remote).to.be.instanceOf(Error);
+        expect(remote.name).to.equal('SnippetNotFoundError');
+        expect(remote.message).to.equal('Snippet 42 not found');
+        expect(remote.code).to.equal('E_NOT_FOUND');
+        expect(remote.errno).to.equal(404);
+        expect(remote.snippetId).to.equal('42');
+        expect(remote.cause).to.be.instanceOf(Error);
+        expect(remote.cause.message).to.equal('ENOENT: no such file');
+        expect(remote.cause.code).to.equal('ENOENT');
+      }
 
       testResults.push({
-        feature: 'Data Types',
-        description: 'Null value handling',
+        feature: 'Error Handling',
+        description: 'Handler errors keep name, code, custom fields and cause',
         status: 'passed',
       });
     });
 
-    it('should handle boolean values', async function() {
-      const result = await sendRequest(ws, 'echo', [true, false]);
-      expect(result).to.deep.equal([true, false]);
+    it('should settle invokes whose error or result cannot be encoded', async function() {
+      const error = await sendCodecRequest(ws, 'error:circular', [], 'circular-error').catch(error => error);
+      expect(error.message).to.equal('Request failed');
+      expect(error.data.code).to.equal('E_HTTP');
+      expect(error.data).to.not.have.property('response');
+      expect(error.data).to.not.have.property('path');
+
+      const resultError = await sendCodecRequest(ws, 'result:circular', [], 'circular-result').catch(error => error);
+      expect(resultError.code).to.equal(-32603);
+      expect(resultError.message).to.include('cannot be encoded');
 
       testResults.push({
-        feature: 'Data Types',
-        description: 'Boolean value handling',
+        feature: 'Error Handling',
+        description: 'Unencodable error properties are dropped and responses keep the request ID',
         status: 'passed',
       });
     });
 
-    it('should handle numbers (integers and floats)', async function() {
-      const result = await sendRequest(ws, 'echo', [42, 3.14159, -123, 0]);
-      expect(result).to.deep.equal([42, 3.14159, -123, 0]);
+    it('should send custom fields by default and library fields only for library errors', async function() {
+      /**
+       * Error data of an invoke of a handler throwing `error`
+       */
+      const errorData = async (options, error) => {
+        const ipc = new IPCMain(options);
+        ipc.handle('error:throw', () => { throw error; });
+        const response = await ipc.receive({ jsonrpc: '2.0', id: 1, method: 'error:throw', params: [] }, 'http:local');
+        return response.error.data;
+      };
 
-      testResults.push({
-        feature: 'Data Types',
-        description: 'Numeric value handling (int, float, negative, zero)',
-        status: 'passed',
-      });
-    });
+      const thirdParty = () => Object.assign(new Error('Upstream failed'), { code: 'E_UPSTREAM', reason: 'db password rejected', timeout: 30000, snippetId: '7' });
 
-    it('should handle empty strings and special characters', async function() {
-      const result = await sendRequest(ws, 'echo', ['', 'hello\nworld', 'tab\there', 'emoji 🚀']);
-      expect(result).to.have.lengthOf(4);
-      expect(result[0]).to.equal('');
-      expect(result[1]).to.equal('hello\nworld');
-      expect(result[2]).to.equal('tab\there');
-      expect(result[3]).to.equal('emoji 🚀');
+      // Default: the error as thrown
+      expect(await errorData({}, thirdParty())).to.include({ code: 'E_UPSTREAM', reason: 'db password rejected', timeout: 30000, snippetId: '7' });
+
+      // Allow-list: library field names are not copied from other errors
+      const listed = await errorData({ exposeErrorProperties: ['snippetId'] }, thirdParty());
+      expect(listed).to.include({ code: 'E_UPSTREAM', snippetId: '7' });
+      expect(listed).to.not.have.any.keys('reason', 'timeout');
+
+      const timeout = await errorData({ exposeErrorProperties: false }, new TimeoutError('Too slow', 500));
+      expect(timeout).to.include({ name: 'TimeoutError', timeout: 500 });
 
       testResults.push({
-        feature: 'Data Types',
-        description: 'String handling (empty, newlines, tabs, unicode)',
+        feature: 'Error Handling',
+        description: 'Custom error fields sent by default; library fields only from library error classes',
         status: 'passed',
       });
     });
 
-    it('should handle nested objects and arrays', async function() {
-      const complex = {
-        array: [1, 2, [3, 4, [5]]],
-        object: { nested: { deep: { value: 'found' } } },
-        mixed: [{ a: 1 }, { b: [2, 3] }],
-      };
-
-      const result = await sendRequest(ws, 'echo', [complex]);
-      expect(result[0]).to.deep.equal(complex);
+    it('should not expose server stacks by default', async function() {
+      try {
+        await sendCodecRequest(ws, 'error:custom', ['43']);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.data.stack || '').to.not.include('test-server.mjs');
+      }
 
       testResults.push({
-        feature: 'Data Types',
-        description: 'Complex nested structures',
+        feature: 'Error Handling',
+        description: 'Server stack traces omitted unless exposeErrorStack is set',
         status: 'passed',
       });
     });
   });
 
-  describe('ipcRenderer.send() + ipcMain.on() - One-Way Messaging', function() {
+  describe('ipcRenderer.invokeWithOptions() - Cancellation', function() {
     let ws;
 
     before(async function() {
       ws = await createClient();
-      // Clear any previous messages
-      await sendRequest(ws, 'clear-received-messages', []);
     });
 
     after(function() {
@@ -542,62 +686,119 @@ describe('Electron IPC Compatibility Tests', function() {
       }
     });
 
-    it('should send one-way message from renderer to main', async function() {
-      // Send one-way message (no response expected)
-      const notification = {
-        jsonrpc: '2.0',
-        method: 'one-way-message',
-        params: ['test-data'],
-      };
-      ws.send(JSON.stringify(notification));
+    it('should cancel in-flight invoke and abort event.signal', async function() {
+      const id = Date.now();
+      const start = Date.now();
+      const requestPromise = sendCodecRequest(ws, 'cancel:slow', [], id);
 
-      // Wait a bit for message to be processed
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await new Promise(resolve => setTimeout(resolve, 100));
+      ws.send(JSON.stringify({ jsonrpc: '2.0', method: '$/cancelRequest', params: [id] }));
 
-      // Verify message was received
-      const received = await sendRequest(ws, 'get-received-messages', []);
-      expect(received).to.have.lengthOf(1);
-      expect(received[0].channel).to.equal('one-way-message');
-      expect(received[0].args).to.deep.equal(['test-data']);
+      try {
+        await requestPromise;
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(-32800);
+        expect(error.message).to.equal('Request cancelled');
+      }
+
+      expect(Date.now() - start).to.be.below(2000);
+
+      const stats = await sendRequest(ws, 'cancel:stats', []);
+      expect(stats).to.deep.equal({ aborted: true, reason: 'Request cancelled' });
 
       testResults.push({
-        feature: 'ipcRenderer.send() + ipcMain.on()',
-        description: 'One-way message from renderer to main',
+        feature: 'ipcRenderer.invokeWithOptions()',
+        description: 'Cancel message rejects invoke and aborts handler signal',
         status: 'passed',
       });
     });
 
-    it('should handle multiple listeners on same channel', async function() {
-      await sendRequest(ws, 'clear-received-messages', []);
+    it('should ignore cancellation of unknown requests', async function() {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', method: '$/cancelRequest', params: [12345] }));
 
-      const notification = {
-        jsonrpc: '2.0',
-        method: 'multi-listener-test',
-        params: ['multi-test'],
-      };
-      ws.send(JSON.stringify(notification));
+      const result = await sendRequest(ws, 'echo', ['after-cancel']);
+      expect(result).to.deep.equal(['after-cancel']);
 
-      await new Promise(resolve => setTimeout(resolve, 500));
+      testResults.push({
+        feature: 'ipcRenderer.invokeWithOptions()',
+        description: 'Cancelling an unknown request is a no-op',
+        status: 'passed',
+      });
+    });
 
-      const received = await sendRequest(ws, 'get-received-messages', []);
-      expect(received).to.have.lengthOf(2);
-      expect(received[0].listener).to.equal('first');
-      expect(received[1].listener).to.equal('second');
+    it('should reject on abort in the renderer and cancel the handler', async function() {
+      const renderer = await createRenderer(3001);
+
+      try {
+        const controller = new AbortController();
+        const start = Date.now();
+        const pending = renderer.invokeWithOptions('cancel:slow', { signal: controller.signal }).catch(error => error);
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        controller.abort();
+
+        const error = await pending;
+        expect(error.name).to.equal('AbortError');
+        expect(Date.now() - start).to.be.below(2000);
+        expect(await renderer.invoke('cancel:stats')).to.deep.equal({ aborted: true, reason: 'Request cancelled' });
+
+        // An already aborted signal rejects without sending
+        const early = await renderer.invokeWithOptions('echo', { signal: AbortSignal.abort() }, 'x').catch(error => error);
+        expect(early.name).to.equal('AbortError');
+      } finally {
+        renderer.disconnect();
+      }
 
       testResults.push({
-        feature: 'ipcMain.on()',
-        description: 'Multiple listeners on same channel',
+        feature: 'ipcRenderer.invokeWithOptions()',
+        description: 'Renderer abort rejects with AbortError and aborts event.signal',
+        status: 'passed',
+      });
+    });
+
+    it('should not log aborts and timeouts as invoke failures', async function() {
+      const entries = [];
+      const recorder = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [
+        level,
+        (fields, message) => entries.push({ level, message, ...fields }),
+      ]));
+      const renderer = await createRenderer(3001);
+      configureLogging({ logger: recorder, level: 'debug' });
+
+      try {
+        const controller = new AbortController();
+        const aborted = renderer.invokeWithOptions('cancel:slow', { signal: controller.signal }).catch(error => error);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        controller.abort();
+        expect((await aborted).name).to.equal('AbortError');
+
+        const timedOut = await renderer.invokeWithOptions('cancel:slow', { timeout: 50 }).catch(error => error);
+        expect(timedOut.name).to.equal('TimeoutError');
+      } finally {
+        configureLogging({ logger: consoleLogger, level: 'info' });
+        renderer.disconnect();
+      }
+
+      const invokes = entries.filter(entry => entry.scope === 'IPCRenderer' && entry.channel === 'cancel:slow');
+      expect(invokes.map(entry => [entry.level, entry.message])).to.deep.equal([
+        ['debug', 'Invoke aborted'],
+        ['debug', 'Invoke aborted'],
+      ]);
+
+      testResults.push({
+        feature: 'ipcRenderer.invokeWithOptions()',
+        description: 'Aborted and timed-out invokes are logged at debug level, not as errors',
         status: 'passed',
       });
     });
   });
 
-  describe('ipcMain.once() - Listen Once Pattern', function() {
+  describe('Invoke Timeouts', function() {
     let ws;
 
     before(async function() {
       ws = await createClient();
-      await sendRequest(ws, 'clear-received-messages', []);
     });
 
     after(function() {
@@ -606,36 +807,62 @@ describe('Electron IPC Compatibility Tests', function() {
       }
     });
 
-    it('should call listener only once', async function() {
-      // Send message twice
-      const notification = {
-        jsonrpc: '2.0',
-        method: 'once-listener-test',
-        params: ['first-call'],
-      };
-      ws.send(JSON.stringify(notification));
+    it('should reject hung handler with TimeoutError after channel timeout', async function() {
+      const start = Date.now();
 
-      await new Promise(resolve => setTimeout(resolve, 500));
+      try {
+        await sendCodecRequest(ws, 'timeout:hang', []);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(-32001);
+        expect(error.data).to.be.instanceOf(Error);
+        expect(error.data.name).to.equal('TimeoutError');
+        expect(error.data.timeout).to.equal(200);
+        expect(error.message).to.equal("Handler 'timeout:hang' timed out after 200ms");
+      }
 
-      ws.send(JSON.stringify({ ...notification, params: ['second-call'] }));
+      expect(Date.now() - start).to.be.below(2000);
 
-      await new Promise(resolve => setTimeout(resolve, 500));
+      const stats = await sendRequest(ws, 'timeout:stats', []);
+      expect(stats).to.deep.equal({ aborted: true, reason: 'TimeoutError' });
 
-      const received = await sendRequest(ws, 'get-received-messages', []);
-      // Should only have ONE message from the once listener
-      const onceMessages = received.filter(m => m.type === 'once');
-      expect(onceMessages).to.have.lengthOf(1);
-      expect(onceMessages[0].data).to.equal('first-call');
+      testResults.push({
+        feature: 'Invoke Timeouts',
+        description: 'Channel timeout rejects invoke and aborts handler signal',
+        status: 'passed',
+      });
+    });
+
+    it('should time out invokes in the renderer and cancel the handler', async function() {
+      const renderer = await createRenderer(3001, { invokeTimeout: 2000 });
+
+      try {
+        const start = Date.now();
+        const error = await renderer.invokeWithOptions('cancel:slow', { timeout: 150 }).catch(error => error);
+
+        expect(error.name).to.equal('TimeoutError');
+        expect(error.timeout).to.equal(150);
+        expect(error.message).to.equal("Invoke 'cancel:slow' timed out after 150ms");
+        expect(Date.now() - start).to.be.within(150, 1000);
+        expect(await renderer.invoke('cancel:stats')).to.deep.equal({ aborted: true, reason: 'Request cancelled' });
+
+        // The server's channel timeout arrives as a TimeoutError too
+        const serverError = await renderer.invoke('timeout:hang').catch(error => error);
+        expect(serverError.name).to.equal('TimeoutError');
+        expect(serverError.timeout).to.equal(200);
+      } finally {
+        renderer.disconnect();
+      }
 
       testResults.push({
-        feature: 'ipcMain.once()',
-        description: 'Listener called only once, then removed',
+        feature: 'Invoke Timeouts',
+        description: 'Renderer timeouts reject with TimeoutError and cancel the handler',
         status: 'passed',
       });
     });
   });
 
-  describe('ipcRenderer.once() - Client-side Listen Once', function() {
+  describe('Rate Limiting', function() {
     let ws;
 
     before(async function() {
@@ -648,71 +875,2536 @@ describe('Electron IPC Compatibility Tests', function() {
       }
     });
 
-    it('should call renderer listener only once', async function() {
-      const receivedNotifications = [];
+    it('should reject calls over the limit with -32002 and record them', async function() {
+      const { limited } = await sendRequest(ws, 'ratelimit:stats', []);
 
-      // Set up listener that counts notifications
-      const notificationHandler = (data) => {
-        const message = JSON.parse(data.toString());
-        if (!('id' in message) && message.method === 'pong') {
-          receivedNotifications.push(message.params);
-        }
-      };
+      for (let i = 0; i < 3; i++) {
+        expect(await sendRequest(ws, 'ratelimit:ping', [])).to.equal('pong');
+      }
 
-      ws.on('message', notificationHandler);
+      try {
+        await sendCodecRequest(ws, 'ratelimit:ping', []);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(-32002);
+        expect(error.data.name).to.equal('RateLimitError');
+        expect(error.data.retryAfter).to.be.above(0).and.at.most(1000);
+      }
 
-      // Trigger server to send notifications via ping handler
-      await sendRequest(ws, 'ping', ['first']);
-      await new Promise(resolve => setTimeout(resolve, 200));
+      const stats = await sendRequest(ws, 'ratelimit:stats', []);
+      expect(stats.limited).to.equal(limited + 1);
 
-      await sendRequest(ws, 'ping', ['second']);
-      await new Promise(resolve => setTimeout(resolve, 200));
+      testResults.push({
+        feature: 'Rate Limiting',
+        description: 'Over-limit invokes rejected with -32002 and reported',
+        status: 'passed',
+      });
+    });
 
-      // Verify we received both notifications
-      expect(receivedNotifications).to.have.lengthOf(2);
+    it('should keep separate buckets per client', async function() {
+      const other = await createClient();
 
-      // Now test once behavior - remove after first
-      receivedNotifications.length = 0;
+      try {
+        expect(await sendRequest(other, 'ratelimit:ping', [])).to.equal('pong');
+        // Unlimited channels are unaffected
+        expect(await sendRequest(ws, 'echo', ['still-ok'])).to.deep.equal(['still-ok']);
+      } finally {
+        other.close();
+      }
 
-      const onceHandler = (data) => {
-        const message = JSON.parse(data.toString());
-        if (!('id' in message) && message.method === 'pong') {
-          receivedNotifications.push(message.params);
-          // Remove self after first call (once behavior)
-          ws.off('message', onceHandler);
-        }
-      };
+      testResults.push({
+        feature: 'Rate Limiting',
+        description: 'Buckets are tracked per client and per channel',
+        status: 'passed',
+      });
+    });
 
-      ws.off('message', notificationHandler);
-      ws.on('message', onceHandler);
+    it('should not count calls to unregistered channels', async function() {
+      const ipc = new IPCMain({ rateLimit: { perChannel: { capacity: 1, refillPerSecond: 0 } } });
+      ipc.handle('ratelimit:known', () => 'ok');
 
-      // Send multiple pings
-      await sendRequest(ws, 'ping', ['third']);
-      await new Promise(resolve => setTimeout(resolve, 200));
+      const frames = [];
+      const connection = { readyState: 1, send: frame => frames.push(frame) };
+      const call = async (id, method) => {
+        await ipc.handleMessage(connection, JSON.stringify({ jsonrpc: '2.0', id, method, params: [] }));
+        return decodeMessage(frames.pop());
+      };
 
-      await sendRequest(ws, 'ping', ['fourth']);
-      await new Promise(resolve => setTimeout(resolve, 200));
+      // Every unknown name would otherwise get (and exhaust) a bucket of its own
+      expect((await call(1, 'ratelimit:unknown')).error.code).to.equal(-32601);
+      expect((await call(2, 'ratelimit:unknown')).error.code).to.equal(-32601);
+      expect(ipc.rateLimiter.buckets.size).to.equal(0);
 
-      // Should only have received first notification before listener removed itself
-      expect(receivedNotifications).to.have.lengthOf(1);
-      expect(receivedNotifications[0][0]).to.include('third');
+      expect((await call(3, 'ratelimit:known')).result).to.equal('ok');
+      expect((await call(4, 'ratelimit:known')).error.code).to.equal(-32002);
 
       testResults.push({
-        feature: 'ipcRenderer.once()',
-        description: 'Client listener removed after first call',
+        feature: 'Rate Limiting',
+        description: 'Unregistered channels answer "method not found" without buckets',
         status: 'passed',
       });
     });
-  });
 
-  describe('ipcMain.handleOnce() - Handle Invoke Once', function() {
-    let ws;
+    it('should pass the caller identity to keyBy for WebSocket and HTTP calls', async function() {
+      const ipc = new IPCMain({
+        rateLimit: {
+          channels: { 'ratelimit:shared': { capacity: 2, refillPerSecond: 0 } },
+          keyBy: (clientId, identity) => identity?.userId ?? clientId,
+        },
+      });
+      ipc.handle('ratelimit:shared', () => 'ok');
 
-    before(async function() {
-      ws = await createClient();
-    });
+      const frames = [];
+      const connection = { readyState: 1, send: frame => frames.push(frame) };
+      ipc.addClient('client-alice', connection, { userId: 'alice' });
+      const request = (id) => ({ jsonrpc: '2.0', id, method: 'ratelimit:shared', params: [] });
 
-    after(function() {
+      try {
+        await ipc.handleMessage(connection, JSON.stringify(request(1)), 'client-alice');
+        expect(decodeMessage(frames.pop()).result).to.equal('ok');
+
+        // HTTP callers get their own client IDs; the identity puts them in the user's bucket
+        expect((await ipc.receive(request(2), 'http:alice', { userId: 'alice' })).result).to.equal('ok');
+        expect((await ipc.receive(request(3), 'http:alice', { userId: 'alice' })).error.code).to.equal(-32002);
+        expect((await ipc.receive(request(4), 'http:bob', { userId: 'bob' })).result).to.equal('ok');
+      } finally {
+        ipc.removeClient('client-alice');
+      }
+
+      testResults.push({
+        feature: 'Rate Limiting',
+        description: 'keyBy receives the identity, sharing a user\'s bucket across WebSocket and httpRpc calls',
+        status: 'passed',
+      });
+    });
+
+    it('should drop buckets of callers that have been idle long enough to refill', async function() {
+      const ipc = new IPCMain({ rateLimit: { global: { capacity: 2, refillPerSecond: 1 } } });
+      ipc.handle('ratelimit:idle', () => 'ok');
+
+      const now = Date.now();
+      const realNow = Date.now;
+
+      try {
+        // HTTP callers are never removed like disconnected sockets
+        for (let i = 0; i < 20; i++) {
+          await ipc.receive({ jsonrpc: '2.0', id: i, method: 'ratelimit:idle', params: [] }, `http:10.0.0.${i}`);
+        }
+        expect(ipc.rateLimiter.buckets.size).to.equal(20);
+
+        Date.now = () => now + 61_000;
+        await ipc.receive({ jsonrpc: '2.0', id: 99, method: 'ratelimit:idle', params: [] }, 'http:10.0.1.1');
+        expect([...ipc.rateLimiter.buckets.keys()]).to.deep.equal(['http:10.0.1.1']);
+      } finally {
+        Date.now = realNow;
+      }
+
+      testResults.push({
+        feature: 'Rate Limiting',
+        description: 'Refilled buckets of idle callers are dropped',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('createWebServer({ ipc }) - Isolated IPCMain Instances', function() {
+    const tenants = [];
+
+    before(async function() {
+      for (const [port, name] of [[3011, 'alpha'], [3012, 'beta']]) {
+        const ipc = new IPCMain();
+        ipc.handle('tenant:name', async () => name);
+        ipc.handle(`${name}:only`, async () => true);
+
+        const { server } = await createWebServer({ port, ipc });
+        await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+        tenants.push({ port, name, ipc, server });
+      }
+    });
+
+    after(async function() {
+      for (const { server } of tenants) {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it('should route each server to its own handlers', async function() {
+      for (const { port, name } of tenants) {
+        const ws = await createClient(`ws://localhost:${port}/ipc`);
+
+        try {
+          expect(await sendRequest(ws, 'tenant:name', [])).to.equal(name);
+
+          // Handlers of the other tenant and of the shared ipcMain are not visible
+          const other = name === 'alpha' ? 'beta' : 'alpha';
+          for (const channel of [`${other}:only`, 'echo']) {
+            try {
+              await sendRequest(ws, channel, []);
+              expect.fail('Should have thrown an error');
+            } catch (error) {
+              expect(error.message).to.equal('Method not found');
+            }
+          }
+        } finally {
+          ws.close();
+        }
+      }
+
+      testResults.push({
+        feature: 'createWebServer({ ipc })',
+        description: 'Servers with their own IPCMain do not share handlers',
+        status: 'passed',
+      });
+    });
+
+    it('should track clients per instance', async function() {
+      const [alpha, beta] = tenants;
+      const ws = await createClient(`ws://localhost:${alpha.port}/ipc`);
+
+      try {
+        await sendRequest(ws, 'tenant:name', []);
+        expect(alpha.ipc.getClientCount()).to.equal(1);
+        expect(beta.ipc.getClientCount()).to.equal(0);
+
+        const response = await fetch(`http://localhost:${alpha.port}/api/health`);
+        expect((await response.json()).connections).to.equal(1);
+      } finally {
+        ws.close();
+      }
+
+      testResults.push({
+        feature: 'createWebServer({ ipc })',
+        description: 'Client tracking and health endpoint are per instance',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('Graceful Shutdown - createWebServer().close()', function() {
+    /**
+     * Start server with a slow handler and a handler that never settles
+     */
+    async function startShutdownServer(port, options = {}) {
+      const ipc = new IPCMain();
+      const state = { aborted: false };
+
+      ipc.handle('shutdown:slow', async () => {
+        await new Promise(resolve => setTimeout(resolve, 300));
+        return 'done';
+      });
+      ipc.handle('shutdown:hang', (event) => new Promise(() => {
+        event.signal.addEventListener('abort', () => { state.aborted = true; });
+      }));
+
+      const { server, close } = await createWebServer({ port, ipc, ...options });
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+      return { ipc, server, close, state };
+    }
+
+    /**
+     * Record notifications and the close code of a client
+     */
+    function watchClient(ws) {
+      const watched = { notifications: [], closed: new Promise(resolve => ws.once('close', resolve)) };
+      ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        if (!('id' in message)) watched.notifications.push(message.method);
+      });
+      return watched;
+    }
+
+    it('should finish in-flight invokes before closing connections', async function() {
+      const port = 3019;
+      const { close } = await startShutdownServer(port);
+      const ws = await createClient(`ws://localhost:${port}/ipc`);
+      const watched = watchClient(ws);
+
+      const pending = sendRequest(ws, 'shutdown:slow', []);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const closing = close({ timeout: 5000 });
+      expect(close()).to.equal(closing);
+
+      expect(await pending).to.equal('done');
+      expect(await watched.closed).to.equal(1001);
+      expect(watched.notifications).to.deep.equal(['$/server/shutting-down']);
+      await closing;
+
+      try {
+        await createClient(`ws://localhost:${port}/ipc`);
+        expect.fail('Should have refused the connection');
+      } catch (error) {
+        expect(error.code).to.equal('ECONNREFUSED');
+      }
+
+      testResults.push({
+        feature: 'Graceful Shutdown',
+        description: 'Pending invokes complete, clients get a shutdown notice, new connections refused',
+        status: 'passed',
+      });
+    });
+
+    it('should close connections once the timeout expires', async function() {
+      const port = 3020;
+      const { ipc, close, state } = await startShutdownServer(port);
+      const ws = await createClient(`ws://localhost:${port}/ipc`);
+      const watched = watchClient(ws);
+
+      sendRequest(ws, 'shutdown:hang', []).catch(() => {});
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const started = Date.now();
+      await close({ timeout: 200 });
+
+      expect(Date.now() - started).to.be.within(200, 2000);
+      expect(await watched.closed).to.equal(1001);
+      expect(state.aborted).to.equal(true);
+      expect(ipc.getClientCount()).to.equal(0);
+
+      testResults.push({
+        feature: 'Graceful Shutdown',
+        description: 'Handlers still running after the timeout are aborted',
+        status: 'passed',
+      });
+    });
+
+    it('should cut off HTTP requests still open after the timeout', async function() {
+      const port = 3029;
+      const { close } = await startShutdownServer(port, { httpRpc: true });
+
+      // Neither the hung HTTP call nor the event stream belongs to a WebSocket connection
+      const hung = fetch(`http://localhost:${port}/ipc/rpc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'shutdown:hang', params: [] }),
+      }).then(() => 'answered', () => 'cut off');
+      const stream = await fetch(`http://localhost:${port}/ipc/sse`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const started = Date.now();
+      await close({ timeout: 200 });
+
+      expect(Date.now() - started).to.be.below(2000);
+      expect(await hung).to.equal('cut off');
+      await stream.body.cancel().catch(() => {});
+
+      testResults.push({
+        feature: 'Graceful Shutdown',
+        description: 'Open HTTP requests are closed after the timeout',
+        status: 'passed',
+      });
+    });
+
+    it('should finish within one timeout when both handlers and HTTP requests hang', async function() {
+      const port = 3034;
+      const { close } = await startShutdownServer(port, { httpRpc: true });
+      const ws = await createClient(`ws://localhost:${port}/ipc`);
+      ws.on('error', () => {});
+
+      sendRequest(ws, 'shutdown:hang', []).catch(() => {});
+      const hung = fetch(`http://localhost:${port}/ipc/rpc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'shutdown:hang', params: [] }),
+      }).then(() => 'answered', () => 'cut off');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      // Waiting for handlers and cutting off HTTP requests share one deadline
+      const started = Date.now();
+      await close({ timeout: 500 });
+
+      expect(Date.now() - started).to.be.within(500, 800);
+      expect(await hung).to.equal('cut off');
+
+      testResults.push({
+        feature: 'Graceful Shutdown',
+        description: 'close({ timeout }) finishes within the timeout across all shutdown steps',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ServerOptions.heartbeat - Liveness Detection', function() {
+    const PORT = 3021;
+    let server;
+
+    before(async function() {
+      ({ server } = await createWebServer({ port: PORT, ipc: new IPCMain(), heartbeat: { interval: 100, timeout: 100 } }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should terminate connections that stop answering pings', async function() {
+      const alive = await createClient(`ws://localhost:${PORT}/ipc`);
+      const stale = new WebSocket(`ws://localhost:${PORT}/ipc`, { autoPong: false });
+      await new Promise((resolve, reject) => stale.once('open', resolve).once('error', reject));
+
+      const code = await new Promise(resolve => stale.once('close', resolve));
+      expect(code).to.equal(1006);
+      expect(alive.readyState).to.equal(WebSocket.OPEN);
+      alive.close();
+
+      testResults.push({
+        feature: 'ServerOptions.heartbeat',
+        description: 'Connections missing a pong within the timeout are terminated',
+        status: 'passed',
+      });
+    });
+
+    it('should answer application-level $/ping requests', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+
+      try {
+        expect(await sendRequest(ws, '$/ping', [])).to.be.a('number');
+      } finally {
+        ws.close();
+      }
+
+      testResults.push({
+        feature: 'ServerOptions.heartbeat',
+        description: 'Renderer liveness pings ($/ping) get a response',
+        status: 'passed',
+      });
+    });
+
+    it('should reconnect the renderer when pings go unanswered', async function() {
+      const port = 3031;
+      const ipc = new IPCMain();
+      ipc.handle('liveness:echo', (event, value) => value);
+      const { server: target, close } = await createWebServer({ port, ipc, heartbeat: false });
+      await new Promise(resolve => target.listening ? resolve() : target.once('listening', resolve));
+
+      // TCP proxy that can go silent without closing, like a connection after laptop sleep
+      let silent = false;
+      const sockets = [];
+      const proxy = createNetServer((client) => {
+        const upstream = netConnect(port);
+        sockets.push(client, upstream);
+        client.on('data', data => silent || upstream.write(data));
+        upstream.on('data', data => silent || client.write(data));
+        client.on('error', () => {});
+        upstream.on('error', () => {});
+      });
+      await new Promise(resolve => proxy.listen(3032, resolve));
+
+      /**
+       * Wait until the renderer's connection state matches
+       */
+      const waitFor = async (renderer, connected) => {
+        const deadline = Date.now() + 3000;
+        while (renderer.isConnected() !== connected) {
+          if (Date.now() > deadline) throw new Error(`Renderer did not become ${connected ? 'connected' : 'disconnected'}`);
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+      };
+
+      const renderer = await createRenderer(3032, { heartbeat: { interval: 100, timeout: 100 } });
+
+      try {
+        expect(await renderer.invoke('liveness:echo', 'before')).to.equal('before');
+
+        silent = true;
+        await waitFor(renderer, false);
+
+        silent = false;
+        await waitFor(renderer, true);
+        expect(await renderer.invoke('liveness:echo', 'after')).to.equal('after');
+        expect(sockets.length).to.equal(4);
+      } finally {
+        renderer.disconnect();
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => proxy.close(resolve));
+        await close({ timeout: 500 });
+      }
+
+      testResults.push({
+        feature: 'ServerOptions.heartbeat',
+        description: 'Renderer drops a connection that misses its ping and reconnects',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('SSE Fallback Transport', function() {
+    const SSE_URL = 'http://localhost:3001/ipc/sse';
+
+    /**
+     * Open event stream, yielding decoded messages in arrival order
+     */
+    async function openStream() {
+      const controller = new AbortController();
+      const response = await fetch(SSE_URL, { signal: controller.signal });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      const next = async () => {
+        while (!buffer.includes('\n\n')) {
+          const { value, done } = await reader.read();
+          if (done) throw new Error('Stream ended');
+          buffer += decoder.decode(value, { stream: true });
+        }
+
+        const block = buffer.slice(0, buffer.indexOf('\n\n'));
+        buffer = buffer.slice(block.length + 2);
+
+        // Skip keep-alive comments
+        if (block.startsWith(':')) return next();
+
+        const event = block.match(/^event: (.*)$/m)?.[1] ?? 'message';
+        const data = block.match(/^data: (.*)$/m)[1];
+        return { event, data };
+      };
+
+      const { event, data } = await next();
+      expect(event).to.equal('session');
+
+      return { response, session: JSON.parse(data).session, next, close: () => controller.abort() };
+    }
+
+    /**
+     * POST encoded message on a stream's session
+     */
+    function post(session, message) {
+      const frame = encodeMessage(message);
+      return fetch(SSE_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': typeof frame === 'string' ? 'text/plain' : 'application/octet-stream',
+          'X-IPC-Session': session,
+        },
+        body: frame,
+      });
+    }
+
+    it('should answer POSTed invokes on the event stream', async function() {
+      const stream = await openStream();
+
+      try {
+        expect(stream.response.headers.get('content-type')).to.match(/^text\/event-stream/);
+
+        const response = await post(stream.session, { jsonrpc: '2.0', id: 1, method: 'echo', params: ['hello'] });
+        expect(response.status).to.equal(202);
+
+        const { event, data } = await stream.next();
+        expect(event).to.equal('message');
+        expect(decodeMessage(data)).to.deep.equal({ jsonrpc: '2.0', id: 1, result: ['hello'] });
+      } finally {
+        stream.close();
+      }
+
+      testResults.push({
+        feature: 'SSE Fallback Transport',
+        description: 'Requests via POST, responses via Server-Sent Events',
+        status: 'passed',
+      });
+    });
+
+    it('should carry binary frames and notifications', async function() {
+      const stream = await openStream();
+
+      try {
+        const bytes = new Uint8Array([0, 1, 2, 255]);
+        await post(stream.session, { jsonrpc: '2.0', id: 2, method: 'echo', params: [bytes] });
+
+        const binary = await stream.next();
+        expect(binary.event).to.equal('binary');
+        const response = decodeMessage(new Uint8Array(Buffer.from(binary.data, 'base64')));
+        expect(response.id).to.equal(2);
+        expect(Array.from(response.result[0])).to.deep.equal([0, 1, 2, 255]);
+
+        await post(stream.session, { jsonrpc: '2.0', method: 'reply-via-event', params: ['hi'] });
+
+        const notification = decodeMessage((await stream.next()).data);
+        expect(notification.method).to.equal('event-reply');
+        expect(notification.params[0].message).to.equal('hi');
+      } finally {
+        stream.close();
+      }
+
+      testResults.push({
+        feature: 'SSE Fallback Transport',
+        description: 'Binary payloads (base64 events) and event.reply() notifications',
+        status: 'passed',
+      });
+    });
+
+    it('should reject POSTs without a valid session', async function() {
+      const response = await post('not-a-session', { jsonrpc: '2.0', id: 3, method: 'echo', params: [] });
+      expect(response.status).to.equal(404);
+
+      testResults.push({
+        feature: 'SSE Fallback Transport',
+        description: 'POSTs need the session token of an open stream',
+        status: 'passed',
+      });
+    });
+
+    it('should fall back to SSE in the renderer and retry the WebSocket on reconnect', async function() {
+      this.timeout(10000);
+      const port = 3030;
+      const ipc = new IPCMain();
+      ipc.handle('transport:echo', (event, value) => value);
+
+      const { server, close } = await createWebServer({ port, ipc });
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+
+      // A proxy dropping upgrade requests
+      const upgradeListeners = server.listeners('upgrade');
+      server.removeAllListeners('upgrade');
+      server.on('upgrade', (req, socket) => socket.destroy());
+
+      const renderer = await createRenderer(port);
+
+      try {
+        expect(renderer.getTransport()).to.equal('sse');
+        expect(await renderer.invoke('transport:echo', 'over sse')).to.equal('over sse');
+
+        // The page leaves the proxy's network, then its event stream drops
+        server.removeAllListeners('upgrade');
+        upgradeListeners.forEach(listener => server.on('upgrade', listener));
+        server.closeAllConnections();
+
+        const deadline = Date.now() + 5000;
+        while (!(renderer.isConnected() && renderer.getTransport() === 'websocket')) {
+          if (Date.now() > deadline) throw new Error('Renderer did not reconnect over WebSocket');
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        expect(await renderer.invoke('transport:echo', 'over ws')).to.equal('over ws');
+      } finally {
+        renderer.disconnect();
+        await close({ timeout: 500 });
+      }
+
+      testResults.push({
+        feature: 'SSE Fallback Transport',
+        description: 'Renderer falls back to SSE when upgrades fail and returns to WebSocket on reconnect',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('JSON-RPC over HTTP - ServerOptions.httpRpc', function() {
+    const RPC_URL = 'http://localhost:3001/ipc/rpc';
+
+    /**
+     * POST JSON body, resolving with status and parsed response (if any)
+     */
+    async function postRpc(body, contentType = 'application/json') {
+      const response = await fetch(RPC_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+      });
+      const text = await response.text();
+      return { status: response.status, body: text && response.status < 500 && contentType === 'application/json' ? JSON.parse(text) : text };
+    }
+
+    it('should invoke handlers with a single request', async function() {
+      const { status, body } = await postRpc({ jsonrpc: '2.0', id: 1, method: 'echo', params: ['cli', 42] });
+
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal({ jsonrpc: '2.0', id: 1, result: ['cli', 42] });
+
+      testResults.push({
+        feature: 'JSON-RPC over HTTP',
+        description: 'POST /ipc/rpc invokes ipcMain.handle() channels',
+        status: 'passed',
+      });
+    });
+
+    it('should answer batches, skipping notifications and reserved methods', async function() {
+      const { status, body } = await postRpc([
+        { jsonrpc: '2.0', id: 1, method: 'echo', params: ['a'] },
+        { jsonrpc: '2.0', method: 'one-way-message', params: ['ignored'] },
+        { jsonrpc: '2.0', id: 2, method: 'no-such-channel', params: [] },
+        { jsonrpc: '2.0', id: 3, method: '$/room/join', params: ['doc:1'] },
+      ]);
+
+      expect(status).to.equal(200);
+      expect(body).to.have.length(3);
+      expect(body.find(r => r.id === 1).result).to.deep.equal(['a']);
+      expect(body.find(r => r.id === 2).error.code).to.equal(-32601);
+      expect(body.find(r => r.id === 3).error.code).to.equal(-32601);
+
+      const notificationsOnly = await postRpc([{ jsonrpc: '2.0', method: 'one-way-message', params: [] }]);
+      expect(notificationsOnly.status).to.equal(204);
+
+      const empty = await postRpc([]);
+      expect(empty.body.error.code).to.equal(-32600);
+
+      testResults.push({
+        feature: 'JSON-RPC over HTTP',
+        description: 'Batches return one response per request; notification-only batches get 204',
+        status: 'passed',
+      });
+    });
+
+    it('should apply schemas and rate limits', async function() {
+      const invalid = await postRpc({ jsonrpc: '2.0', id: 1, method: 'schema:save', params: [{ title: '' }] });
+      expect(invalid.body.error.code).to.equal(-32602);
+
+      const { body } = await postRpc([1, 2, 3, 4].map(id => ({ jsonrpc: '2.0', id, method: 'ratelimit:ping', params: [] })));
+      const limited = body.filter(r => r.error);
+      expect(limited.length).to.be.at.least(1);
+      expect(limited[0].error.code).to.equal(-32002);
+
+      testResults.push({
+        feature: 'JSON-RPC over HTTP',
+        description: 'Same validation and rate limiting as WebSocket calls',
+        status: 'passed',
+      });
+    });
+
+    it('should reject malformed requests', async function() {
+      const parseError = await postRpc('{"jsonrpc": "2.0", "id": 1,');
+      expect(parseError.status).to.equal(400);
+      expect(parseError.body.error.code).to.equal(-32700);
+
+      const wrongType = await postRpc('x', 'text/plain');
+      expect(wrongType.status).to.equal(415);
+
+      testResults.push({
+        feature: 'JSON-RPC over HTTP',
+        description: 'Parse errors (-32700) and non-JSON bodies (415)',
+        status: 'passed',
+      });
+    });
+
+    it('should use plain JSON in both directions', async function() {
+      const tagged = { $ipc: 'date', value: 0 };
+      const echoed = await postRpc({ jsonrpc: '2.0', id: 1, method: 'echo', params: [tagged] });
+      expect(echoed.body.result).to.deep.equal([tagged]);
+
+      const sample = await postRpc({ jsonrpc: '2.0', id: 2, method: 'types:sample', params: [] });
+      expect(sample.body.result).to.deep.equal({ when: '1970-01-01T00:00:00.000Z', bytes: 'AQID', big: '10' });
+
+      const failed = await postRpc({ jsonrpc: '2.0', id: 3, method: 'error:custom', params: ['s1'] });
+      expect(failed.body.error.data).to.include({ name: 'SnippetNotFoundError', message: 'Snippet s1 not found', code: 'E_NOT_FOUND' });
+
+      const circular = await postRpc({ jsonrpc: '2.0', id: 4, method: 'result:circular', params: [] });
+      expect(circular.body).to.deep.include({ id: 4 });
+      expect(circular.body.error.code).to.equal(-32603);
+
+      testResults.push({
+        feature: 'JSON-RPC over HTTP',
+        description: 'Requests and responses are plain JSON, without IPC codec tags',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('attachIpc() - Existing Servers', function() {
+    const PORT = 3022;
+    let server;
+    let attached;
+    let foreign;
+
+    before(async function() {
+      // The application owns the app, the HTTP server and another WebSocket endpoint
+      const app = express();
+      app.get('/api/own', (_req, res) => res.json({ own: true }));
+      server = createServer(app);
+
+      foreign = new WebSocketServer({ noServer: true });
+      server.on('upgrade', (req, socket, head) => {
+        if (req.url === '/live') {
+          foreign.handleUpgrade(req, socket, head, (ws) => ws.send('foreign'));
+        }
+      });
+
+      const ipc = new IPCMain();
+      ipc.handle('attach:echo', (_event, value) => value);
+      attached = await attachIpc({ server, app, path: '/rpc-socket', ipc, httpRpc: true });
+
+      await new Promise(resolve => server.listen(PORT, resolve));
+    });
+
+    after(async function() {
+      foreign.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should serve IPC alongside the application\'s own routes and sockets', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/rpc-socket`);
+      expect(await sendRequest(ws, 'attach:echo', ['hi'])).to.equal('hi');
+      ws.close();
+
+      const own = await fetch(`http://localhost:${PORT}/api/own`).then(res => res.json());
+      expect(own).to.deep.equal({ own: true });
+
+      const health = await fetch(`http://localhost:${PORT}/api/health`).then(res => res.json());
+      expect(health.status).to.equal('ok');
+
+      const rpc = await fetch(`http://localhost:${PORT}/rpc-socket/rpc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'attach:echo', params: ['http'] }),
+      }).then(res => res.json());
+      expect(rpc.result).to.equal('http');
+
+      const other = new WebSocket(`ws://localhost:${PORT}/live`);
+      const [data] = await new Promise((resolve, reject) => {
+        other.once('message', (...args) => resolve(args));
+        other.once('error', reject);
+      });
+      expect(data.toString()).to.equal('foreign');
+      other.close();
+
+      testResults.push({
+        feature: 'attachIpc()',
+        description: 'IPC WebSocket, health and HTTP routes mounted on an existing server; other upgrades untouched',
+        status: 'passed',
+      });
+    });
+
+    it('should detach on close() and leave the server running', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/rpc-socket`);
+      const closed = new Promise(resolve => ws.once('close', resolve));
+
+      await attached.close();
+      expect(await closed).to.equal(1001);
+      expect(server.listening).to.equal(true);
+
+      const own = await fetch(`http://localhost:${PORT}/api/own`);
+      expect(own.status).to.equal(200);
+
+      try {
+        await createClient(`ws://localhost:${PORT}/rpc-socket`);
+        expect.fail('Should have rejected the upgrade');
+      } catch (error) {
+        expect(error.message).to.contain('503');
+      }
+
+      testResults.push({
+        feature: 'attachIpc()',
+        description: 'close() shuts IPC down without closing the HTTP server',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ServerOptions.https - TLS', function() {
+    const PORT = 3023;
+    const REDIRECT_PORT = 3024;
+    let dir;
+    let close;
+
+    /**
+     * Self-signed certificate whose common name identifies it
+     */
+    function generateCertificate(name) {
+      execFileSync('openssl', [
+        'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1', '-subj', `/CN=${name}`,
+        '-keyout', join(dir, `${name}.key`), '-out', join(dir, `${name}.crt`),
+      ], { stdio: 'ignore' });
+    }
+
+    function useCertificate(name) {
+      copyFileSync(join(dir, `${name}.key`), join(dir, 'server.key'));
+      copyFileSync(join(dir, `${name}.crt`), join(dir, 'server.crt'));
+    }
+
+    /**
+     * Common name of the certificate the server presents
+     */
+    function servedCertificate() {
+      return new Promise((resolve, reject) => {
+        const socket = tlsConnect({ port: PORT, host: 'localhost', rejectUnauthorized: false }, () => {
+          resolve(socket.getPeerCertificate().subject.CN);
+          socket.end();
+        });
+        socket.on('error', reject);
+      });
+    }
+
+    before(async function() {
+      this.timeout(20000);
+      dir = mkdtempSync(join(tmpdir(), 'electron-to-web-tls-'));
+      generateCertificate('first');
+      generateCertificate('second');
+      useCertificate('first');
+
+      const ipc = new IPCMain();
+      ipc.handle('tls:echo', (_event, value) => value);
+
+      let server;
+      ({ server, close } = await createWebServer({
+        port: PORT,
+        ipc,
+        https: {
+          key: join(dir, 'server.key'),
+          cert: join(dir, 'server.crt'),
+          watch: { interval: 100 },
+          redirectPort: REDIRECT_PORT,
+        },
+      }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await close?.({ timeout: 1000 });
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should serve IPC over wss:', async function() {
+      const ws = await new Promise((resolve, reject) => {
+        const ws = new WebSocket(`wss://localhost:${PORT}/ipc`, { rejectUnauthorized: false });
+        ws.on('open', () => resolve(ws));
+        ws.on('error', reject);
+      });
+
+      expect(await sendRequest(ws, 'tls:echo', ['secure'])).to.equal('secure');
+      ws.close();
+
+      testResults.push({
+        feature: 'ServerOptions.https',
+        description: 'HTTPS server with the IPC WebSocket on wss:',
+        status: 'passed',
+      });
+    });
+
+    it('should redirect plain HTTP to HTTPS', async function() {
+      const response = await new Promise((resolve, reject) => {
+        httpGet(`http://localhost:${REDIRECT_PORT}/api/health?verbose=1`, resolve).on('error', reject);
+      });
+      response.resume();
+
+      expect(response.statusCode).to.equal(308);
+      expect(response.headers.location).to.equal(`https://localhost:${PORT}/api/health?verbose=1`);
+
+      testResults.push({
+        feature: 'ServerOptions.https',
+        description: 'redirectPort answers HTTP requests with a 308 to the HTTPS URL',
+        status: 'passed',
+      });
+    });
+
+    it('should reload certificates when the files change', async function() {
+      expect(await servedCertificate()).to.equal('first');
+
+      useCertificate('second');
+
+      let served;
+      for (let i = 0; i < 30 && served !== 'second'; i++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        served = await servedCertificate();
+      }
+      expect(served).to.equal('second');
+
+      testResults.push({
+        feature: 'ServerOptions.https',
+        description: 'Renewed certificate files are served without a restart',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ServerOptions.metrics - Prometheus Endpoint', function() {
+    const PORT = 3025;
+    let ipc;
+    let close;
+
+    before(async function() {
+      ipc = new IPCMain();
+      ipc.handle('metrics:ok', () => 'ok');
+      ipc.handle('metrics:fail', () => {
+        throw new Error('failed');
+      });
+
+      let server;
+      ({ server, close } = await createWebServer({ port: PORT, ipc, metrics: true, security: {} }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await close({ timeout: 1000 });
+    });
+
+    /**
+     * Scrape the endpoint into a map of sample -> value
+     */
+    async function scrape() {
+      const response = await fetch(`http://localhost:${PORT}/metrics`);
+      expect(response.headers.get('content-type')).to.match(/^text\/plain;.*version=0\.0\.4/);
+
+      const samples = new Map();
+      for (const line of (await response.text()).split('\n')) {
+        if (line && !line.startsWith('#')) {
+          const space = line.lastIndexOf(' ');
+          samples.set(line.slice(0, space), Number(line.slice(space + 1)));
+        }
+      }
+      return samples;
+    }
+
+    it('should count invocations, errors, latency and security denials per channel', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+      await sendRequest(ws, 'metrics:ok', [], 1);
+      await sendRequest(ws, 'metrics:ok', [], 2);
+      await sendRequest(ws, 'metrics:fail', [], 3).catch(() => {});
+      await sendRequest(ws, 'shell:openPath', ['/tmp'], 4).catch(() => {});
+      ws.close();
+
+      const samples = await scrape();
+      expect(samples.get('electron_to_web_invocations_total{channel="metrics:ok"}')).to.equal(2);
+      expect(samples.get('electron_to_web_invocation_errors_total{channel="metrics:ok"}')).to.equal(0);
+      expect(samples.get('electron_to_web_invocation_errors_total{channel="metrics:fail"}')).to.equal(1);
+      expect(samples.get('electron_to_web_invocation_duration_seconds_bucket{channel="metrics:ok",le="+Inf"}')).to.equal(2);
+      expect(samples.get('electron_to_web_invocation_duration_seconds_count{channel="metrics:fail"}')).to.equal(1);
+      expect(samples.get('electron_to_web_security_denials_total{channel="shell:openPath",reason="disabled"}')).to.equal(1);
+
+      testResults.push({
+        feature: 'ServerOptions.metrics',
+        description: 'Per-channel invoke and error counts, latency histograms and security denials',
+        status: 'passed',
+      });
+    });
+
+    it('should count fan-out, bytes, connections and reconnects', async function() {
+      const before = await scrape();
+      const clients = await Promise.all([createClient(`ws://localhost:${PORT}/ipc`), createClient(`ws://localhost:${PORT}/ipc`)]);
+
+      const received = Promise.all(clients.map(ws => waitForNotification(ws, 'metrics:news')));
+      ipc.broadcast('metrics:news', 'hello');
+      await received;
+
+      // What ipcRenderer sends after a successful reconnection
+      clients[0].send(JSON.stringify({ jsonrpc: '2.0', method: '$/reconnected', params: [] }));
+      await sendRequest(clients[0], 'metrics:ok', [], 5);
+
+      const after = await scrape();
+      expect(after.get('electron_to_web_notification_deliveries_total{channel="metrics:news"}')).to.equal(2);
+      expect(after.get('electron_to_web_connections')).to.equal(2);
+      expect(after.get('electron_to_web_connections_total') - before.get('electron_to_web_connections_total')).to.equal(2);
+      expect(after.get('electron_to_web_reconnects_total')).to.equal(1);
+      expect(after.get('electron_to_web_received_bytes_total')).to.be.above(before.get('electron_to_web_received_bytes_total'));
+      expect(after.get('electron_to_web_sent_bytes_total')).to.be.above(before.get('electron_to_web_sent_bytes_total'));
+
+      clients.forEach(ws => ws.close());
+
+      testResults.push({
+        feature: 'ServerOptions.metrics',
+        description: 'Notification fan-out, bytes in/out, connections and reconnects',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('configureLogging() - Structured Logger', function() {
+    const PORT = 3026;
+    let entries;
+    let close;
+
+    /**
+     * pino-style logger recording (level, fields, message)
+     */
+    const recorder = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [
+      level,
+      (fields, message) => entries.push({ level, message, ...fields }),
+    ]));
+
+    before(async function() {
+      entries = [];
+      configureLogging({ logger: recorder, level: 'debug' });
+
+      const ipc = new IPCMain();
+      ipc.handle('log:fail', () => {
+        throw new Error('boom');
+      });
+
+      let server;
+      ({ server, close } = await createWebServer({ port: PORT, ipc }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await close({ timeout: 1000 });
+      configureLogging({ logger: consoleLogger, level: 'info' });
+    });
+
+    it('should route messages with structured fields to the configured logger', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+      await sendRequest(ws, 'log:fail', []).catch(() => {});
+      ws.close();
+
+      expect(entries).to.deep.include({ level: 'debug', message: 'Registered handler', scope: 'IPC', channel: 'log:fail' });
+
+      const connected = entries.find(entry => entry.scope === 'IPC' && entry.message === 'Client connected');
+      expect(connected.level).to.equal('debug');
+      expect(connected.clientId).to.match(/^client-/);
+
+      const failed = entries.find(entry => entry.message === 'Error in handler');
+      expect(failed).to.include({ level: 'error', scope: 'IPC', channel: 'log:fail', clientId: connected.clientId });
+      expect(failed.err).to.be.instanceOf(Error);
+
+      testResults.push({
+        feature: 'configureLogging()',
+        description: 'pino-style logger receives scope, clientId, channel and err fields',
+        status: 'passed',
+      });
+    });
+
+    it('should drop messages below the configured level', async function() {
+      configureLogging({ level: 'warn' });
+      entries = [];
+
+      const ipc = new IPCMain();
+      ipc.handle('log:quiet', () => 'ok');
+      ipc.sendTo('missing-client', 'log:quiet');
+
+      expect(entries.map(entry => entry.level)).to.deep.equal(['warn']);
+      expect(entries[0]).to.include({ message: 'Client not found', clientId: 'missing-client' });
+
+      testResults.push({
+        feature: 'configureLogging()',
+        description: 'Levels below the configured one are not logged',
+        status: 'passed',
+      });
+    });
+
+    it('should log expected request outcomes below error level', async function() {
+      configureLogging({ level: 'debug' });
+      entries = [];
+
+      const ipc = new IPCMain();
+      ipc.handle('log:forbidden', () => {
+        throw new ForbiddenError('Not yours');
+      });
+      ipc.handle('log:slow', (event) => new Promise(() => {
+        event.signal.addEventListener('abort', () => {});
+      }));
+
+      const frames = [];
+      const connection = { readyState: 1, send: frame => frames.push(frame) };
+      const warnings = [];
+      const consoleWarn = console.warn;
+      console.warn = (...args) => warnings.push(args);
+
+      try {
+        await ipc.handleMessage(connection, JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'log:forbidden', params: [] }));
+        const slow = ipc.handleMessage(connection, JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'log:slow', params: [] }));
+        await ipc.handleMessage(connection, JSON.stringify({ jsonrpc: '2.0', method: '$/cancelRequest', params: [2] }));
+        await slow;
+      } finally {
+        console.warn = consoleWarn;
+      }
+
+      expect(frames.map(frame => decodeMessage(frame).error.code)).to.deep.equal([-32003, -32800]);
+      expect(entries.find(entry => entry.message === 'Request rejected'))
+        .to.include({ level: 'warn', channel: 'log:forbidden', error: 'ForbiddenError' });
+      expect(entries.find(entry => entry.message === 'Request aborted'))
+        .to.include({ level: 'debug', channel: 'log:slow', reason: 'Request cancelled' });
+      expect(entries.filter(entry => entry.level === 'error')).to.deep.equal([]);
+      // json-rpc-2.0's own error listener goes through the logger, not console.warn
+      expect(warnings).to.deep.equal([]);
+
+      testResults.push({
+        feature: 'configureLogging()',
+        description: 'Cancellations and rejected calls are not logged as handler errors',
+        status: 'passed',
+      });
+    });
+
+    it('should log a result failing its schema once, with the issues', async function() {
+      configureLogging({ level: 'debug' });
+      entries = [];
+
+      const ipc = new IPCMain();
+      ipc.handle('log:bad-result', () => ({ missing: 'id' }), { result: { type: 'object', required: ['id'] } });
+
+      const response = await ipc.receive({ jsonrpc: '2.0', id: 1, method: 'log:bad-result', params: [] }, 'http:local');
+      expect(response.error.code).to.equal(-32603);
+
+      const errors = entries.filter(entry => entry.level === 'error');
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.include({ message: 'Handler returned invalid result', channel: 'log:bad-result' });
+      expect(errors[0].issues).to.include('result');
+
+      testResults.push({
+        feature: 'configureLogging()',
+        description: 'Invalid results are logged once with their issues',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('IPCMainOptions.tracing - Trace Context Propagation', function() {
+    const PORT = 3027;
+    const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+    const storage = new AsyncLocalStorage();
+    let close;
+    let middlewareTraces;
+
+    /**
+     * Stand-in for @opentelemetry/api whose active context is { traceparent }
+     */
+    const otel = {
+      context: {
+        active: () => storage.getStore() ?? {},
+        with: (context, fn) => storage.run(context, fn),
+      },
+      propagation: {
+        inject: (context, carrier) => {
+          if (context.traceparent) carrier.traceparent = context.traceparent;
+        },
+        extract: (context, carrier) => ({ ...context, traceparent: carrier.traceparent }),
+      },
+    };
+
+    /**
+     * Send raw JSON-RPC request and collect messages until its response
+     */
+    function exchange(ws, request) {
+      return new Promise((resolve) => {
+        const messages = [];
+        const onMessage = (data) => {
+          const message = JSON.parse(data.toString());
+          messages.push(message);
+          if (message.id === request.id) {
+            ws.off('message', onMessage);
+            resolve(messages);
+          }
+        };
+        ws.on('message', onMessage);
+        ws.send(JSON.stringify({ jsonrpc: '2.0', ...request }));
+      });
+    }
+
+    before(async function() {
+      middlewareTraces = [];
+
+      const ipc = new IPCMain({ tracing: openTelemetryTracing(otel) });
+      ipc.use((ctx, next) => {
+        middlewareTraces.push(ctx.trace);
+        return next();
+      });
+      ipc.handle('trace:echo', async (event) => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        event.sender.send('trace:progress');
+        return { eventTrace: event.trace ?? null, active: storage.getStore()?.traceparent ?? null };
+      });
+
+      let server;
+      ({ server, close } = await createWebServer({ port: PORT, ipc }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await close({ timeout: 1000 });
+    });
+
+    it('should expose the envelope trace context to handlers and middleware', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+      const messages = await exchange(ws, { id: 1, method: 'trace:echo', params: [], trace: { traceparent: TRACEPARENT } });
+      ws.close();
+
+      const response = messages.find(message => message.id === 1);
+      expect(response.result).to.deep.equal({ eventTrace: { traceparent: TRACEPARENT }, active: TRACEPARENT });
+      expect(middlewareTraces).to.deep.equal([{ traceparent: TRACEPARENT }]);
+
+      testResults.push({
+        feature: 'IPCMainOptions.tracing',
+        description: 'Handlers run inside the traceparent of the invoke; event.trace and ctx.trace expose it',
+        status: 'passed',
+      });
+    });
+
+    it('should carry the active trace context on notifications', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+      const traced = await exchange(ws, { id: 2, method: 'trace:echo', params: [], trace: { traceparent: TRACEPARENT } });
+      const untraced = await exchange(ws, { id: 3, method: 'trace:echo', params: [] });
+      ws.close();
+
+      const progress = traced.find(message => message.method === 'trace:progress');
+      expect(progress.trace).to.deep.equal({ traceparent: TRACEPARENT });
+
+      // No-op outside a trace: no context on either side
+      expect(untraced.find(message => message.id === 3).result).to.deep.equal({ eventTrace: null, active: null });
+      expect(untraced.find(message => message.method === 'trace:progress')).to.not.have.property('trace');
+
+      testResults.push({
+        feature: 'IPCMainOptions.tracing',
+        description: 'webContents-style notifications carry the trace context back; none without one',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ServerOptions.maxPayload - Message Limits', function() {
+    const PORT = 3028;
+    let close;
+
+    /**
+     * Array nested `levels` deep
+     */
+    const nest = (levels) => Array.from({ length: levels - 1 }).reduce(inner => [inner], []);
+
+    before(async function() {
+      const ipc = new IPCMain();
+      ipc.handle('limits:echo', (event, value) => value);
+      ipc.handle('limits:slow', () => new Promise(resolve => setTimeout(() => resolve('slow'), 300)));
+
+      let server;
+      ({ server, close } = await createWebServer({
+        port: PORT,
+        ipc,
+        maxPayload: 1024,
+        maxDepth: 8,
+        perMessageDeflate: { threshold: 0 },
+        httpRpc: true,
+      }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await close({ timeout: 1000 });
+    });
+
+    it('should answer WebSocket messages over maxPayload with MessageTooLargeError', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+      const response = new Promise(resolve => ws.once('message', data => resolve(decodeMessage(data.toString()))));
+
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'limits:echo', params: ['x'.repeat(1500)] }));
+      const { error } = await response;
+      expect(error.code).to.equal(-32004);
+      expect(error.data).to.include({ reason: 'size', limit: 1024 });
+
+      // The connection stays usable
+      const { result } = await sendCodecRequest(ws, 'limits:echo', ['ok'], 2);
+      expect(result).to.equal('ok');
+      ws.close();
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'Messages over the limit get a -32004 error and keep the connection',
+        status: 'passed',
+      });
+    });
+
+    it('should close WebSocket connections sending frames far over maxPayload with 1009', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+      const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+      ws.on('error', () => {});
+
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'limits:echo', params: ['x'.repeat(100_000)] }));
+      expect(await closed).to.equal(1009);
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'Far oversized WebSocket frames are refused with close code 1009 before being buffered',
+        status: 'passed',
+      });
+    });
+
+    it('should reject only the oversized invoke in the renderer', async function() {
+      const renderer = await createRenderer(PORT);
+
+      try {
+        // Answered by IPCMain: the error carries no request ID, the renderer matches it by size
+        const slow = renderer.invoke('limits:slow');
+        const error = await renderer.invoke('limits:echo', 'x'.repeat(1500)).catch(error => error);
+        expect(error).to.include({ name: 'MessageTooLargeError', reason: 'size', limit: 1024 });
+        expect(await slow).to.equal('slow');
+
+        // Refused by ws with 1009: the largest pending invoke was refused, the others lost
+        const lost = renderer.invoke('limits:slow').catch(error => error);
+        const refused = await renderer.invoke('limits:echo', 'x'.repeat(100_000)).catch(error => error);
+        expect(refused.name).to.equal('MessageTooLargeError');
+        expect((await lost).name).to.not.equal('MessageTooLargeError');
+        expect((await lost).message).to.equal('Connection lost before the response arrived');
+      } finally {
+        renderer.disconnect();
+      }
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'Renderer rejects the oversized invoke and fails the others as connection lost',
+        status: 'passed',
+      });
+    });
+
+    it('should reject invokes over IPCRendererOptions.maxMessageSize without sending them', async function() {
+      const renderer = await createRenderer(PORT, { maxMessageSize: 1024 });
+
+      try {
+        const error = await renderer.invoke('limits:echo', 'x'.repeat(2048)).catch(error => error);
+        expect(error).to.include({ name: 'MessageTooLargeError', reason: 'size', limit: 1024 });
+        expect(renderer.isConnected()).to.equal(true);
+        expect(await renderer.invoke('limits:echo', 'ok')).to.equal('ok');
+      } finally {
+        renderer.disconnect();
+      }
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'IPCRendererOptions.maxMessageSize rejects oversized invokes locally',
+        status: 'passed',
+      });
+    });
+
+    it('should answer messages nested deeper than maxDepth with MessageTooLargeError', async function() {
+      const ws = await createClient(`ws://localhost:${PORT}/ipc`);
+
+      const error = await sendCodecRequest(ws, 'limits:echo', [nest(20)], 7).catch(error => error);
+      expect(error.code).to.equal(-32004);
+      expect(error.data).to.include({ name: 'MessageTooLargeError', reason: 'depth', limit: 8 });
+
+      // The connection stays usable
+      const { result } = await sendCodecRequest(ws, 'limits:echo', [nest(3)], 8);
+      expect(result).to.deep.equal(nest(3));
+      ws.close();
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'Too deeply nested requests get a -32004 error response to their ID',
+        status: 'passed',
+      });
+    });
+
+    it('should answer HTTP JSON-RPC bodies over maxPayload with 413', async function() {
+      const response = await fetch(`http://localhost:${PORT}/ipc/rpc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'limits:echo', params: ['x'.repeat(2048)] }),
+      });
+
+      expect(response.status).to.equal(413);
+      expect((await response.json()).error.code).to.equal(-32004);
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'HTTP JSON-RPC bodies over the limit get 413 with a JSON-RPC error',
+        status: 'passed',
+      });
+    });
+
+    it('should reject oversized messages in IPCMain.handleMessage without parsing them', async function() {
+      const ipc = new IPCMain({ maxMessageSize: 64 });
+      ipc.handle('limits:echo', (event, value) => value);
+
+      const frames = [];
+      const connection = { readyState: 1, send: frame => frames.push(frame) };
+      await ipc.handleMessage(connection, JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'limits:echo', params: ['x'.repeat(100)] }));
+
+      const response = decodeMessage(frames[0]);
+      expect(response.id).to.equal(null);
+      expect(response.error.code).to.equal(-32004);
+      expect(response.error.data).to.include({ reason: 'size', limit: 64 });
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'IPCMainOptions.maxMessageSize answers oversized messages with an error',
+        status: 'passed',
+      });
+    });
+
+    it('should negotiate permessage-deflate only when enabled', async function() {
+      const compressed = await createClient(`ws://localhost:${PORT}/ipc`);
+      const plain = await createClient();
+
+      expect(compressed.extensions).to.include('permessage-deflate');
+      expect(plain.extensions).to.equal('');
+
+      const { result } = await sendCodecRequest(compressed, 'limits:echo', ['y'.repeat(200)], 9);
+      expect(result).to.equal('y'.repeat(200));
+      compressed.close();
+      plain.close();
+
+      testResults.push({
+        feature: 'ServerOptions.maxPayload',
+        description: 'perMessageDeflate enables WebSocket compression (off by default)',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ServerOptions.authenticateUpgrade - WebSocket Authentication', function() {
+    const PORT = 3013;
+    let server;
+
+    /**
+     * Open WebSocket, resolving with the HTTP status if the upgrade is rejected
+     */
+    function connect(query) {
+      return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${PORT}/ipc${query}`);
+        ws.on('open', () => resolve({ ws }));
+        ws.on('unexpected-response', (_req, res) => resolve({ status: res.statusCode }));
+        ws.on('error', reject);
+      });
+    }
+
+    before(async function() {
+      const ipc = new IPCMain();
+      ipc.handle('auth:whoami', async (event) => event.identity ?? null);
+
+      ({ server } = await createWebServer({
+        port: PORT,
+        ipc,
+        authenticateUpgrade: (req) => {
+          const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+          if (token === 'banned') {
+            throw Object.assign(new Error('Forbidden'), { status: 403 });
+          }
+          if (token === 'slow') {
+            return new Promise(resolve => setTimeout(() => resolve({ userId: 'slow' }), 200));
+          }
+          return token === 'alice' ? { userId: 'alice', roles: ['admin'] } : false;
+        },
+      }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should reject unauthenticated upgrades with 401 and forbidden ones with 403', async function() {
+      expect(await connect('')).to.deep.equal({ status: 401 });
+      expect(await connect('?token=banned')).to.deep.equal({ status: 403 });
+
+      testResults.push({
+        feature: 'ServerOptions.authenticateUpgrade',
+        description: 'Upgrade rejected with 401/403 before the socket opens',
+        status: 'passed',
+      });
+    });
+
+    it('should expose the resolved identity to handlers', async function() {
+      const { ws } = await connect('?token=alice');
+
+      try {
+        const identity = await sendRequest(ws, 'auth:whoami', []);
+        expect(identity).to.deep.equal({ userId: 'alice', roles: ['admin'] });
+      } finally {
+        ws.close();
+      }
+
+      testResults.push({
+        feature: 'ServerOptions.authenticateUpgrade',
+        description: 'Identity attached to the connection as event.identity',
+        status: 'passed',
+      });
+    });
+
+    it('should survive a client resetting the connection while authentication is pending', async function() {
+      const socket = netConnect(PORT, 'localhost');
+      await new Promise(resolve => socket.once('connect', resolve));
+      socket.write(
+        'GET /ipc?token=slow HTTP/1.1\r\n' +
+          `Host: localhost:${PORT}\r\n` +
+          'Upgrade: websocket\r\n' +
+          'Connection: Upgrade\r\n' +
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+          'Sec-WebSocket-Version: 13\r\n\r\n'
+      );
+
+      // Reset (RST) while authenticateUpgrade is still running
+      await new Promise(resolve => setTimeout(resolve, 50));
+      socket.resetAndDestroy();
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const { ws } = await connect('?token=alice');
+      ws.close();
+
+      testResults.push({
+        feature: 'ServerOptions.authenticateUpgrade',
+        description: 'Client resetting mid-authentication does not crash the server',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcMain.sendToUser() - User Identity Mapping', function() {
+    const PORT = 3014;
+    let server;
+    let ipc;
+
+    before(async function() {
+      ipc = new IPCMain();
+      ipc.handle('user:notify', async (event, text) => {
+        ipc.sendToUser(event.identity.userId, 'user:message', text);
+        return ipc.getClientsForUser(event.identity.userId).length;
+      });
+      ipc.handle('user:lookup', async (event) => ipc.getIdentity(event.sender.id));
+
+      ({ server } = await createWebServer({
+        port: PORT,
+        ipc,
+        authenticateUpgrade: (req) => {
+          const user = new URL(req.url, 'http://localhost').searchParams.get('user');
+          return user ? { userId: user } : false;
+        },
+      }));
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    after(async function() {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should notify every tab of a user and no one else', async function() {
+      const aliceTab1 = await createClient(`ws://localhost:${PORT}/ipc?user=alice`);
+      const aliceTab2 = await createClient(`ws://localhost:${PORT}/ipc?user=alice`);
+      const bob = await createClient(`ws://localhost:${PORT}/ipc?user=bob`);
+      const bobMessages = [];
+      bob.on('message', (data) => bobMessages.push(JSON.parse(data.toString())));
+
+      try {
+        const tab2Message = waitForNotification(aliceTab2, 'user:message');
+        const tab1Message = waitForNotification(aliceTab1, 'user:message');
+
+        const clientCount = await sendRequest(aliceTab1, 'user:notify', ['for alice']);
+        expect(clientCount).to.equal(2);
+        expect(await tab1Message).to.deep.equal(['for alice']);
+        expect(await tab2Message).to.deep.equal(['for alice']);
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(bobMessages).to.have.lengthOf(0);
+
+        expect(await sendRequest(bob, 'user:lookup', [])).to.deep.equal({ userId: 'bob' });
+      } finally {
+        aliceTab1.close();
+        aliceTab2.close();
+        bob.close();
+      }
+
+      testResults.push({
+        feature: 'ipcMain.sendToUser()',
+        description: 'Notifications reach all of a user\'s clients only',
+        status: 'passed',
+      });
+    });
+
+    it('should forget clients of a user when they disconnect', async function() {
+      const tab = await createClient(`ws://localhost:${PORT}/ipc?user=carol`);
+      await sendRequest(tab, 'user:lookup', []);
+      expect(ipc.getClientsForUser('carol')).to.have.lengthOf(1);
+
+      tab.close();
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect(ipc.getClientsForUser('carol')).to.deep.equal([]);
+
+      testResults.push({
+        feature: 'ipcMain.sendToUser()',
+        description: 'getClientsForUser() tracks connects and disconnects',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcMain.broadcastTo() - Rooms', function() {
+    /**
+     * Collect room notifications received by a client
+     */
+    function collect(ws) {
+      const messages = [];
+      ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        if (message.method === 'room:message') {
+          messages.push(message.params);
+        }
+      });
+      return messages;
+    }
+
+    it('should notify only the clients in the room', async function() {
+      const viewer1 = await createClient();
+      const viewer2 = await createClient();
+      const outsider = await createClient();
+      const messages = [collect(viewer1), collect(viewer2), collect(outsider)];
+
+      try {
+        await sendRequest(viewer1, 'rooms:join', ['doc:1']);
+        await sendRequest(viewer2, 'rooms:join', ['doc:1']);
+        await sendRequest(outsider, 'rooms:join', ['doc:2']);
+
+        await sendRequest(outsider, 'rooms:broadcast', ['doc:1', 'edit']);
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(messages[0]).to.deep.equal([['doc:1', 'edit']]);
+        expect(messages[1]).to.deep.equal([['doc:1', 'edit']]);
+        expect(messages[2]).to.deep.equal([]);
+
+        await sendRequest(viewer2, 'rooms:leave', ['doc:1']);
+        await sendRequest(outsider, 'rooms:broadcast', ['doc:1', 'second']);
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(messages[0]).to.have.lengthOf(2);
+        expect(messages[1]).to.have.lengthOf(1);
+      } finally {
+        viewer1.close();
+        viewer2.close();
+        outsider.close();
+      }
+
+      testResults.push({
+        feature: 'ipcMain.broadcastTo()',
+        description: 'join/leave/broadcastTo target room members only',
+        status: 'passed',
+      });
+    });
+
+    it('should remove clients from rooms when they disconnect', async function() {
+      const viewer = await createClient();
+      const observer = await createClient();
+
+      try {
+        await sendRequest(viewer, 'rooms:join', ['doc:cleanup']);
+        expect(await sendRequest(observer, 'rooms:members', ['doc:cleanup'])).to.equal(1);
+
+        viewer.close();
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        expect(await sendRequest(observer, 'rooms:members', ['doc:cleanup'])).to.equal(0);
+      } finally {
+        observer.close();
+      }
+
+      testResults.push({
+        feature: 'ipcMain.broadcastTo()',
+        description: 'Disconnected clients leave their rooms',
+        status: 'passed',
+      });
+    });
+
+    it('should let renderers subscribe when the authorizer allows it', async function() {
+      const ws = await createClient();
+      const messages = collect(ws);
+
+      try {
+        await sendRequest(ws, '$/room/join', ['doc:public']);
+        await sendRequest(ws, 'rooms:broadcast', ['doc:public', 'hello']);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(messages).to.deep.equal([['doc:public', 'hello']]);
+
+        try {
+          await sendCodecRequest(ws, '$/room/join', ['doc:secret']);
+          expect.fail('Should have thrown an error');
+        } catch (error) {
+          expect(error.code).to.equal(-32003);
+          expect(error.data.name).to.equal('ForbiddenError');
+        }
+        expect(await sendRequest(ws, 'rooms:members', ['doc:secret'])).to.equal(0);
+
+        await sendRequest(ws, '$/room/leave', ['doc:public']);
+        expect(await sendRequest(ws, 'rooms:members', ['doc:public'])).to.equal(0);
+      } finally {
+        ws.close();
+      }
+
+      testResults.push({
+        feature: 'ipcMain.broadcastTo()',
+        description: 'Renderer subscribe/unsubscribe gated by authorizeRoom',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('IPCAdapter - Multi-process Fan-out', function() {
+    /**
+     * Local stand-in for a Redis server: connections share pub/sub, hashes (with expiry) and sorted sets
+     */
+    class FakeRedis {
+      subscribers = new Set();
+      hashes = new Map();
+      expiries = new Map();
+      sortedSets = new Map();
+
+      hash(key) {
+        if (this.expiries.get(key) <= Date.now()) {
+          this.hashes.delete(key);
+          this.expiries.delete(key);
+        }
+        return this.hashes.get(key);
+      }
+
+      sortedSet(key) {
+        if (!this.sortedSets.has(key)) this.sortedSets.set(key, new Map());
+        return this.sortedSets.get(key);
+      }
+
+      inRange(score, min, max) {
+        const bound = (value) => ({ '-inf': -Infinity, '+inf': Infinity })[value] ?? Number(value);
+        return score >= bound(min) && score <= bound(max);
+      }
+
+      connect() {
+        const store = this;
+        const listeners = new Set();
+        const connection = {
+          publish: async (channel, message) => {
+            for (const subscriber of store.subscribers) {
+              if (subscriber.channels.has(channel)) {
+                setImmediate(() => subscriber.listeners.forEach(listener => listener(channel, message)));
+              }
+            }
+          },
+          subscribe: async (channel) => {
+            connection.channels.add(channel);
+            store.subscribers.add(connection);
+          },
+          unsubscribe: async (channel) => {
+            connection.channels.delete(channel);
+            if (connection.channels.size === 0) store.subscribers.delete(connection);
+          },
+          on: (event, listener) => listeners.add(listener),
+          off: (event, listener) => listeners.delete(listener),
+          hset: async (key, field, value) => {
+            if (!store.hash(key)) store.hashes.set(key, new Map());
+            store.hashes.get(key).set(field, value);
+          },
+          hdel: async (key, ...fields) => fields.forEach(field => store.hash(key)?.delete(field)),
+          hgetall: async (key) => Object.fromEntries(store.hash(key) ?? []),
+          pexpire: async (key, milliseconds) => {
+            if (store.hash(key)) store.expiries.set(key, Date.now() + milliseconds);
+          },
+          zadd: async (key, score, member) => store.sortedSet(key).set(member, score),
+          zrem: async (key, ...members) => members.forEach(member => store.sortedSet(key).delete(member)),
+          zrangebyscore: async (key, min, max) => [...store.sortedSet(key)]
+            .filter(([, score]) => store.inRange(score, min, max))
+            .map(([member]) => member),
+          zremrangebyscore: async (key, min, max) => {
+            for (const [member, score] of store.sortedSet(key)) {
+              if (store.inRange(score, min, max)) store.sortedSet(key).delete(member);
+            }
+          },
+          channels: new Set(),
+          listeners,
+        };
+        return connection;
+      }
+    }
+
+    const nodes = [];
+
+    /**
+     * Start server node whose IPCMain fans out through the adapter
+     */
+    async function startNode(port, adapter) {
+      const ipc = new IPCMain({ adapter });
+      ipc.handle('cluster:broadcast', async (event, ...args) => ipc.broadcast('cluster:message', ...args));
+      ipc.handle('cluster:sendTo', async (event, clientId, ...args) => ipc.sendTo(clientId, 'cluster:message', ...args));
+      ipc.handle('cluster:sendToUser', async (event, userId, ...args) => ipc.sendToUser(userId, 'cluster:message', ...args));
+      ipc.handle('cluster:broadcastTo', async (event, room, ...args) => ipc.broadcastTo(room, 'cluster:message', ...args));
+      ipc.handle('cluster:join', async (event, room) => ipc.join(event.sender.id, room));
+      ipc.handle('cluster:whoami', async (event) => event.sender.id);
+
+      const { server } = await createWebServer({
+        port,
+        ipc,
+        authenticateUpgrade: (req) => ({ userId: new URL(req.url, 'http://localhost').searchParams.get('user') }),
+      });
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+
+      const node = { port, ipc, server, adapter };
+      nodes.push(node);
+      return node;
+    }
+
+    /**
+     * Connect client to a node, collecting cluster:message notifications
+     */
+    async function connectTo(node, user = 'anonymous') {
+      const ws = await createClient(`ws://localhost:${node.port}/ipc?user=${user}`);
+      ws.messages = [];
+      ws.on('message', (data, isBinary) => {
+        const message = decodeMessage(isBinary ? data : data.toString());
+        if (message.method === 'cluster:message') {
+          ws.messages.push(message.params);
+        }
+      });
+      return ws;
+    }
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    after(async function() {
+      for (const { server, adapter } of nodes) {
+        await adapter.close();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it('should fan broadcast, sendTo, sendToUser and rooms out across nodes', async function() {
+      const redis = new FakeRedis();
+      const nodeA = await startNode(3015, new RedisAdapter({ pub: redis.connect(), sub: redis.connect() }));
+      const nodeB = await startNode(3016, new RedisAdapter({ pub: redis.connect(), sub: redis.connect() }));
+
+      const onA = await connectTo(nodeA, 'alice');
+      const onB = await connectTo(nodeB, 'alice');
+      const otherOnB = await connectTo(nodeB, 'bob');
+
+      try {
+        await sendCodecRequest(onA, 'cluster:broadcast', ['everyone', new Uint8Array([1, 2])]);
+        await settle();
+        for (const ws of [onA, onB, otherOnB]) {
+          expect(ws.messages).to.deep.equal([['everyone', new Uint8Array([1, 2])]]);
+          ws.messages.length = 0;
+        }
+
+        const otherId = await sendRequest(otherOnB, 'cluster:whoami', []);
+        await sendRequest(onA, 'cluster:sendTo', [otherId, 'direct']);
+        await sendRequest(onA, 'cluster:sendToUser', ['alice', 'for alice']);
+        await sendRequest(otherOnB, 'cluster:join', ['doc:1']);
+        await sendRequest(onA, 'cluster:broadcastTo', ['doc:1', 'room']);
+        await settle();
+
+        expect(onA.messages).to.deep.equal([['for alice']]);
+        expect(onB.messages).to.deep.equal([['for alice']]);
+        expect(otherOnB.messages).to.deep.equal([['direct'], ['room']]);
+      } finally {
+        onA.close();
+        onB.close();
+        otherOnB.close();
+      }
+
+      testResults.push({
+        feature: 'IPCAdapter',
+        description: 'RedisAdapter fans out broadcast, sendTo, sendToUser and broadcastTo',
+        status: 'passed',
+      });
+    });
+
+    it('should expire RedisAdapter presence of nodes that stop refreshing it', async function() {
+      const redis = new FakeRedis();
+      const crashed = new RedisAdapter({ pub: redis.connect(), sub: redis.connect(), presenceTtl: 150 });
+      const alive = new RedisAdapter({ pub: redis.connect(), sub: redis.connect(), presenceTtl: 150 });
+
+      await crashed.setPresence('client-a', { nodeId: 'node-a', rooms: [] });
+      await alive.setPresence('client-b', { nodeId: 'node-b', rooms: [] });
+      expect(Object.keys(await alive.getPresence()).sort()).to.deep.equal(['client-a', 'client-b']);
+
+      try {
+        // node-a dies: its heartbeat stops and nothing removes its entries
+        clearInterval(crashed.heartbeatTimer);
+        await new Promise(resolve => setTimeout(resolve, 400));
+
+        // node-b's heartbeat kept its own entries alive
+        expect(Object.keys(await alive.getPresence())).to.deep.equal(['client-b']);
+      } finally {
+        await alive.close();
+      }
+      expect(await alive.getPresence()).to.deep.equal({});
+
+      testResults.push({
+        feature: 'IPCAdapter',
+        description: 'RedisAdapter presence expires without heartbeats from its node',
+        status: 'passed',
+      });
+    });
+
+    it('should stop delivering messages to a closed RedisAdapter', async function() {
+      const redis = new FakeRedis();
+      const pub = redis.connect();
+      const sub = redis.connect();
+      const received = [];
+
+      // Configure/close cycles on a shared subscriber connection leave no listeners behind
+      for (let i = 0; i < 3; i++) {
+        const adapter = new RedisAdapter({ pub, sub });
+        await adapter.subscribe(message => received.push(message));
+        await adapter.close();
+      }
+      expect(sub.listeners.size).to.equal(0);
+      expect(sub.channels.size).to.equal(0);
+
+      await new RedisAdapter({ pub, sub: redis.connect() })
+        .publish({ origin: 'node-b', scope: 'all', channel: 'cluster:message', frame: 'late' });
+      await settle();
+      expect(received).to.deep.equal([]);
+
+      testResults.push({
+        feature: 'IPCAdapter',
+        description: 'RedisAdapter.close() removes its message listener and unsubscribes',
+        status: 'passed',
+      });
+    });
+
+    it('should remove presence when the server shuts down', async function() {
+      const redis = new FakeRedis();
+      const adapter = new RedisAdapter({ pub: redis.connect(), sub: redis.connect() });
+      const ipc = new IPCMain({ adapter });
+      const { server, close } = await createWebServer({ port: 3033, ipc });
+      await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+
+      const ws = await createClient('ws://localhost:3033/ipc');
+      ws.on('error', () => {});
+      await settle();
+      expect(Object.keys(await ipc.getPresence())).to.have.lengthOf(1);
+
+      await close({ timeout: 500 });
+      expect(await adapter.getPresence()).to.deep.equal({});
+      expect(adapter.heartbeatTimer).to.equal(undefined);
+
+      testResults.push({
+        feature: 'IPCAdapter',
+        description: 'Graceful shutdown closes the adapter and removes this node from presence',
+        status: 'passed',
+      });
+    });
+
+    it('should share presence across nodes', async function() {
+      const bus = new MemoryBus();
+      const nodeA = await startNode(3017, new MemoryAdapter(bus));
+      const nodeB = await startNode(3018, new MemoryAdapter(bus));
+
+      const onB = await connectTo(nodeB, 'carol');
+
+      try {
+        const clientId = await sendRequest(onB, 'cluster:whoami', []);
+        await sendRequest(onB, 'cluster:join', ['doc:7']);
+
+        const presence = await nodeA.ipc.getPresence();
+        expect(presence[clientId]).to.deep.include({ userId: 'carol', rooms: ['doc:7'] });
+
+        // Notifications from node A reach the client on node B
+        nodeA.ipc.broadcast('cluster:message', 'from A');
+        await settle();
+        expect(onB.messages).to.deep.equal([['from A']]);
+
+        onB.close();
+        await new Promise(resolve => setTimeout(resolve, 200));
+        expect(await nodeA.ipc.getPresence()).to.not.have.property(clientId);
+      } finally {
+        onB.close();
+      }
+
+      testResults.push({
+        feature: 'IPCAdapter',
+        description: 'Presence shared between nodes and cleared on disconnect',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('Schema-validated Channels', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should pass valid arguments to the handler', async function() {
+      const result = await sendRequest(ws, 'schema:save', [{ title: 'Hello', language: 'js', tags: ['a'] }]);
+      expect(result).to.deep.equal({ id: 1, title: 'Hello', language: 'js', tags: ['a'] });
+
+      testResults.push({
+        feature: 'Schema-validated Channels',
+        description: 'Valid arguments reach the handler',
+        status: 'passed',
+      });
+    });
+
+    it('should reject invalid arguments with -32602 before the handler runs', async function() {
+      const { calls } = await sendRequest(ws, 'schema:stats', []);
+
+      try {
+        await sendCodecRequest(ws, 'schema:save', [{ title: '', language: 'rb', extra: true }]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(-32602);
+        expect(error.data.name).to.equal('ValidationError');
+        expect(error.data.issues).to.deep.equal([
+          { path: '/0/title', message: 'must have at least 1 characters' },
+          { path: '/0/language', message: 'must be one of "js", "ts", "py"' },
+          { path: '/0/extra', message: 'is not allowed' },
+        ]);
+        expect(error.message).to.match(/^Invalid params: params\/0\/title/);
+      }
+
+      try {
+        await sendCodecRequest(ws, 'schema:save', []);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(-32602);
+        expect(error.data.issues).to.deep.equal([{ path: '/0', message: 'is required' }]);
+      }
+
+      const stats = await sendRequest(ws, 'schema:stats', []);
+      expect(stats.calls).to.equal(calls);
+
+      testResults.push({
+        feature: 'Schema-validated Channels',
+        description: 'Invalid arguments rejected with -32602 and structured issues',
+        status: 'passed',
+      });
+    });
+
+    it('should support validator functions', async function() {
+      const result = await sendRequest(ws, 'schema:validator', [21]);
+      expect(result).to.equal(42);
+
+      try {
+        await sendCodecRequest(ws, 'schema:validator', [1.5]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(-32602);
+        expect(error.data.issues).to.deep.equal([{ path: '/0', message: 'must be an integer' }]);
+      }
+
+      testResults.push({
+        feature: 'Schema-validated Channels',
+        description: 'Custom validator functions',
+        status: 'passed',
+      });
+    });
+
+    it('should report invalid results as internal errors', async function() {
+      try {
+        await sendCodecRequest(ws, 'schema:bad-result', []);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(-32603);
+        expect(error.message).to.equal('Internal error');
+      }
+
+      testResults.push({
+        feature: 'Schema-validated Channels',
+        description: 'Result schema violations reported as -32603',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('Data Type Support', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should handle null values', async function() {
+      const result = await sendRequest(ws, 'echo', [null]);
+      expect(result).to.deep.equal([null]);
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Null value handling',
+        status: 'passed',
+      });
+    });
+
+    it('should handle boolean values', async function() {
+      const result = await sendRequest(ws, 'echo', [true, false]);
+      expect(result).to.deep.equal([true, false]);
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Boolean value handling',
+        status: 'passed',
+      });
+    });
+
+    it('should handle numbers (integers and floats)', async function() {
+      const result = await sendRequest(ws, 'echo', [42, 3.14159, -123, 0]);
+      expect(result).to.deep.equal([42, 3.14159, -123, 0]);
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Numeric value handling (int, float, negative, zero)',
+        status: 'passed',
+      });
+    });
+
+    it('should handle empty strings and special characters', async function() {
+      const result = await sendRequest(ws, 'echo', ['', 'hello\nworld', 'tab\there', 'emoji 🚀']);
+      expect(result).to.have.lengthOf(4);
+      expect(result[0]).to.equal('');
+      expect(result[1]).to.equal('hello\nworld');
+      expect(result[2]).to.equal('tab\there');
+      expect(result[3]).to.equal('emoji 🚀');
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'String handling (empty, newlines, tabs, unicode)',
+        status: 'passed',
+      });
+    });
+
+    it('should handle nested objects and arrays', async function() {
+      const complex = {
+        array: [1, 2, [3, 4, [5]]],
+        object: { nested: { deep: { value: 'found' } } },
+        mixed: [{ a: 1 }, { b: [2, 3] }],
+      };
+
+      const result = await sendRequest(ws, 'echo', [complex]);
+      expect(result[0]).to.deep.equal(complex);
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Complex nested structures',
+        status: 'passed',
+      });
+    });
+
+    it('should preserve structured-clone types (Date, Map, Set, BigInt, RegExp, undefined)', async function() {
+      const date = new Date('2026-01-03T12:00:00.000Z');
+      const value = {
+        date,
+        map: new Map([['key', { nested: new Set([1, 2]) }], [3, date]]),
+        set: new Set(['a', 'b']),
+        big: 12345678901234567890n,
+        regex: /ipc-\d+/gi,
+        sparse: [1, undefined, 3],
+        special: [NaN, Infinity, -Infinity, -0],
+        optional: undefined,
+        $ipc: 'user data',
+      };
+
+      const { result } = await sendCodecRequest(ws, 'echo', [value]);
+      const echoed = result[0];
+
+      expect(echoed.date).to.be.instanceOf(Date);
+      expect(echoed.date.getTime()).to.equal(date.getTime());
+      expect(echoed.map).to.be.instanceOf(Map);
+      expect(echoed.map.get('key').nested).to.be.instanceOf(Set);
+      expect([...echoed.map.get('key').nested]).to.deep.equal([1, 2]);
+      expect(echoed.map.get(3).getTime()).to.equal(date.getTime());
+      expect([...echoed.set]).to.deep.equal(['a', 'b']);
+      expect(echoed.big).to.equal(12345678901234567890n);
+      expect(echoed.regex).to.be.instanceOf(RegExp);
+      expect(echoed.regex.source).to.equal('ipc-\\d+');
+      expect(echoed.regex.flags).to.equal('gi');
+      expect(echoed.sparse).to.have.lengthOf(3);
+      expect(echoed.sparse[1]).to.equal(undefined);
+      expect(echoed.special[0]).to.be.NaN;
+      expect(echoed.special[1]).to.equal(Infinity);
+      expect(echoed.special[2]).to.equal(-Infinity);
+      expect(Object.is(echoed.special[3], -0)).to.equal(true);
+      expect(echoed).to.have.property('optional', undefined);
+      expect(echoed.$ipc).to.equal('user data');
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Structured-clone types preserved through the codec',
+        status: 'passed',
+      });
+    });
+
+    it('should preserve nested Errors with custom properties and cause', async function() {
+      const cause = new TypeError('root cause');
+      const error = new RangeError('out of range', { cause });
+      error.code = 'E_RANGE';
+
+      const { result } = await sendCodecRequest(ws, 'echo', [{ error }]);
+      const echoed = result[0].error;
+
+      expect(echoed).to.be.instanceOf(RangeError);
+      expect(echoed.message).to.equal('out of range');
+      expect(echoed.code).to.equal('E_RANGE');
+      expect(echoed.cause).to.be.instanceOf(TypeError);
+      expect(echoed.cause.message).to.equal('root cause');
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Nested Error objects keep name, message, properties and cause',
+        status: 'passed',
+      });
+    });
+
+    it('should not resolve tagged type names through the prototype chain', function() {
+      const decoded = decodeMessage(JSON.stringify({
+        error: { $ipc: 'error', name: 'constructor', message: 'forged' },
+        hidden: { $ipc: 'error', name: '__proto__', message: 'forged' },
+      }));
+
+      expect(decoded.error).to.be.instanceOf(Error);
+      expect(decoded.error.name).to.equal('constructor');
+      expect(decoded.error.message).to.equal('forged');
+      expect(decoded.hidden).to.be.instanceOf(Error);
+
+      const frame = encodeMessage({ bytes: new Uint8Array([1, 2]) });
+      const header = new TextDecoder().decode(frame.subarray(4, 4 + new DataView(frame.buffer).getUint32(0)));
+      const forged = new TextEncoder().encode(header.replace('"Uint8Array"', '"toString"'));
+      const reframed = new Uint8Array(frame.byteLength - header.length + forged.byteLength);
+      new DataView(reframed.buffer).setUint32(0, forged.byteLength);
+      reframed.set(forged, 4);
+      reframed.set(frame.subarray(4 + header.length), 4 + forged.byteLength);
+
+      expect([...decodeMessage(reframed).bytes]).to.deep.equal([1, 2]);
+      expect(decodeMessage(reframed).bytes).to.be.instanceOf(Uint8Array);
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Untrusted error and binary type names only match known constructors',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('Binary Data Type Support', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should round-trip Buffer, ArrayBuffer and TypedArrays as binary frames', async function() {
+      const bytes = new Uint8Array([0, 1, 2, 254, 255]);
+      const floats = new Float32Array([1.5, -2.25, 3]);
+      const arrayBuffer = new Uint8Array([9, 8, 7]).buffer;
+
+      const { result, isBinary } = await sendCodecRequest(ws, 'echo', [
+        Buffer.from('hello'),
+        arrayBuffer,
+        { nested: { bytes, floats } },
+        'plain',
+      ]);
+
+      expect(isBinary).to.equal(true);
+      expect(Buffer.isBuffer(result[0])).to.equal(true);
+      expect(result[0].toString()).to.equal('hello');
+      expect(result[1]).to.be.instanceOf(ArrayBuffer);
+      expect([...new Uint8Array(result[1])]).to.deep.equal([9, 8, 7]);
+      expect(result[2].nested.bytes).to.be.instanceOf(Uint8Array);
+      expect([...result[2].nested.bytes]).to.deep.equal([0, 1, 2, 254, 255]);
+      expect(result[2].nested.floats).to.be.instanceOf(Float32Array);
+      expect([...result[2].nested.floats]).to.deep.equal([1.5, -2.25, 3]);
+      expect(result[3]).to.equal('plain');
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Binary values (Buffer, ArrayBuffer, TypedArray) survive round trip',
+        status: 'passed',
+      });
+    });
+
+    it('should return Buffers from handlers intact', async function() {
+      const { result } = await sendCodecRequest(ws, 'binary:invert', [new Uint8Array([0, 128, 255])]);
+
+      expect([...result]).to.deep.equal([255, 127, 0]);
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Handler Buffer return value delivered as binary',
+        status: 'passed',
+      });
+    });
+
+    it('should keep plain JSON requests on text frames', async function() {
+      const { result, isBinary } = await sendCodecRequest(ws, 'echo', ['text-only']);
+
+      expect(isBinary).to.equal(false);
+      expect(result).to.deep.equal(['text-only']);
+
+      testResults.push({
+        feature: 'Data Types',
+        description: 'Messages without binary payloads stay plain JSON',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcRenderer.send() + ipcMain.on() - One-Way Messaging', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+      // Clear any previous messages
+      await sendRequest(ws, 'clear-received-messages', []);
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should send one-way message from renderer to main', async function() {
+      // Send one-way message (no response expected)
+      const notification = {
+        jsonrpc: '2.0',
+        method: 'one-way-message',
+        params: ['test-data'],
+      };
+      ws.send(JSON.stringify(notification));
+
+      // Wait a bit for message to be processed
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      // Verify message was received
+      const received = await sendRequest(ws, 'get-received-messages', []);
+      expect(received).to.have.lengthOf(1);
+      expect(received[0].channel).to.equal('one-way-message');
+      expect(received[0].args).to.deep.equal(['test-data']);
+
+      testResults.push({
+        feature: 'ipcRenderer.send() + ipcMain.on()',
+        description: 'One-way message from renderer to main',
+        status: 'passed',
+      });
+    });
+
+    it('should handle multiple listeners on same channel', async function() {
+      await sendRequest(ws, 'clear-received-messages', []);
+
+      const notification = {
+        jsonrpc: '2.0',
+        method: 'multi-listener-test',
+        params: ['multi-test'],
+      };
+      ws.send(JSON.stringify(notification));
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const received = await sendRequest(ws, 'get-received-messages', []);
+      expect(received).to.have.lengthOf(2);
+      expect(received[0].listener).to.equal('first');
+      expect(received[1].listener).to.equal('second');
+
+      testResults.push({
+        feature: 'ipcMain.on()',
+        description: 'Multiple listeners on same channel',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcMain.once() - Listen Once Pattern', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+      await sendRequest(ws, 'clear-received-messages', []);
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should call listener only once', async function() {
+      // Send message twice
+      const notification = {
+        jsonrpc: '2.0',
+        method: 'once-listener-test',
+        params: ['first-call'],
+      };
+      ws.send(JSON.stringify(notification));
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      ws.send(JSON.stringify({ ...notification, params: ['second-call'] }));
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const received = await sendRequest(ws, 'get-received-messages', []);
+      // Should only have ONE message from the once listener
+      const onceMessages = received.filter(m => m.type === 'once');
+      expect(onceMessages).to.have.lengthOf(1);
+      expect(onceMessages[0].data).to.equal('first-call');
+
+      testResults.push({
+        feature: 'ipcMain.once()',
+        description: 'Listener called only once, then removed',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcRenderer.once() - Client-side Listen Once', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should call renderer listener only once', async function() {
+      const receivedNotifications = [];
+
+      // Set up listener that counts notifications
+      const notificationHandler = (data) => {
+        const message = JSON.parse(data.toString());
+        if (!('id' in message) && message.method === 'pong') {
+          receivedNotifications.push(message.params);
+        }
+      };
+
+      ws.on('message', notificationHandler);
+
+      // Trigger server to send notifications via ping handler
+      await sendRequest(ws, 'ping', ['first']);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      await sendRequest(ws, 'ping', ['second']);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      // Verify we received both notifications
+      expect(receivedNotifications).to.have.lengthOf(2);
+
+      // Now test once behavior - remove after first
+      receivedNotifications.length = 0;
+
+      const onceHandler = (data) => {
+        const message = JSON.parse(data.toString());
+        if (!('id' in message) && message.method === 'pong') {
+          receivedNotifications.push(message.params);
+          // Remove self after first call (once behavior)
+          ws.off('message', onceHandler);
+        }
+      };
+
+      ws.off('message', notificationHandler);
+      ws.on('message', onceHandler);
+
+      // Send multiple pings
+      await sendRequest(ws, 'ping', ['third']);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      await sendRequest(ws, 'ping', ['fourth']);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      // Should only have received first notification before listener removed itself
+      expect(receivedNotifications).to.have.lengthOf(1);
+      expect(receivedNotifications[0][0]).to.include('third');
+
+      testResults.push({
+        feature: 'ipcRenderer.once()',
+        description: 'Client listener removed after first call',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcMain.handleOnce() - Handle Invoke Once', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+    });
+
+    after(function() {
       if (ws && ws.readyState === WebSocket.OPEN) {
         ws.close();
       }
@@ -769,6 +3461,288 @@ describe('Electron IPC Compatibility Tests', function() {
     });
   });
 
+  describe('event.sender.send() - Per-client Event Object', function() {
+    let ws1;
+    let ws2;
+
+    before(async function() {
+      [ws1, ws2] = await Promise.all([createClient(), createClient()]);
+    });
+
+    after(function() {
+      [ws1, ws2].forEach(ws => {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.close();
+        }
+      });
+    });
+
+    it('should expose a distinct client ID per connection', async function() {
+      const [id1, id2] = await Promise.all([
+        sendRequest(ws1, 'whoami', []),
+        sendRequest(ws2, 'whoami', []),
+      ]);
+
+      expect(id1).to.be.a('string').and.match(/^client-/);
+      expect(id2).to.be.a('string').and.match(/^client-/);
+      expect(id1).to.not.equal(id2);
+
+      testResults.push({
+        feature: 'event.sender.send()',
+        description: 'event.sender.id is the real client ID',
+        status: 'passed',
+      });
+    });
+
+    it('should send only to the calling client', async function() {
+      const otherMessages = [];
+      const otherHandler = (data) => {
+        const message = JSON.parse(data.toString());
+        if (!('id' in message) && message.method === 'sender-reply') {
+          otherMessages.push(message.params);
+        }
+      };
+      ws2.on('message', otherHandler);
+
+      const notificationPromise = waitForNotification(ws1, 'sender-reply');
+      const result = await sendRequest(ws1, 'reply-to-sender', ['only-you']);
+      const notification = await notificationPromise;
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      ws2.off('message', otherHandler);
+
+      expect(result).to.deep.equal({ replied: true });
+      expect(notification).to.deep.equal(['only-you']);
+      expect(otherMessages).to.have.lengthOf(0);
+
+      testResults.push({
+        feature: 'event.sender.send()',
+        description: 'Notification targets only the sending client',
+        status: 'passed',
+      });
+    });
+
+    it('should reply to one-way messages via event.reply()', async function() {
+      const id1 = await sendRequest(ws1, 'whoami', []);
+      const notificationPromise = waitForNotification(ws1, 'event-reply');
+
+      ws1.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'reply-via-event',
+        params: ['hello'],
+      }));
+
+      const notification = await notificationPromise;
+      expect(notification).to.deep.equal([{ from: id1, message: 'hello' }]);
+
+      testResults.push({
+        feature: 'event.sender.send()',
+        description: 'event.reply() answers ipcRenderer.send() on the same connection',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcMain.use() - Middleware Pipeline', function() {
+    let ws;
+
+    before(async function() {
+      ws = await createClient();
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should short-circuit before the handler runs', async function() {
+      const result = await sendRequest(ws, 'middleware:blocked', []);
+      expect(result).to.deep.equal({ blocked: true });
+
+      testResults.push({
+        feature: 'ipcMain.use()',
+        description: 'Middleware can short-circuit invoke handlers',
+        status: 'passed',
+      });
+    });
+
+    it('should transform args and results and share context state', async function() {
+      const clientId = await sendRequest(ws, 'whoami', []);
+      const result = await sendRequest(ws, 'middleware:transform', [1, 2, 3]);
+
+      expect(result).to.deep.equal({ result: [2, 4, 6], tag: 'tagged', clientId });
+
+      testResults.push({
+        feature: 'ipcMain.use()',
+        description: 'Middleware can transform args/results and add context data',
+        status: 'passed',
+      });
+    });
+
+    it('should run around one-way listeners', async function() {
+      await sendRequest(ws, 'clear-received-messages', []);
+
+      ws.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'middleware:send',
+        params: ['observed'],
+      }));
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const received = await sendRequest(ws, 'get-received-messages', []);
+      expect(received).to.deep.equal([
+        { middleware: 'send', args: ['observed'] },
+        { listener: 'middleware:send', data: 'observed' },
+      ]);
+
+      testResults.push({
+        feature: 'ipcMain.use()',
+        description: 'Middleware sees ipcMain.on() traffic',
+        status: 'passed',
+      });
+    });
+  });
+
+  describe('ipcMain.handleStream() - Streaming Handlers', function() {
+    let ws;
+
+    /**
+     * Collect stream notifications for a stream ID
+     */
+    function collectStream(ws, streamId) {
+      const collected = { chunks: [], ended: false, error: null };
+
+      collected.handler = (data, isBinary) => {
+        const message = decodeMessage(isBinary ? data : data.toString());
+        if ('id' in message || !message.method?.startsWith('$/stream/')) return;
+        if (message.params[0] !== streamId) return;
+
+        if (message.method === '$/stream/data') collected.chunks.push(message.params[1]);
+        if (message.method === '$/stream/end') collected.ended = true;
+        if (message.method === '$/stream/error') collected.error = message.params[1];
+      };
+
+      ws.on('message', collected.handler);
+      return collected;
+    }
+
+    before(async function() {
+      ws = await createClient();
+    });
+
+    after(function() {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      }
+    });
+
+    it('should stream all chunks and end', async function() {
+      const collected = collectStream(ws, 's1');
+      await sendRequest(ws, '$/stream/start', ['s1', 'stream:count', [5], 16]);
+      await new Promise(resolve => setTimeout(resolve, 300));
+      ws.off('message', collected.handler);
+
+      expect(collected.chunks).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(collected.ended).to.equal(true);
+      expect(collected.error).to.equal(null);
+
+      testResults.push({
+        feature: 'ipcMain.handleStream()',
+        description: 'Async generator chunks delivered in order, then end',
+        status: 'passed',
+      });
+    });
+
+    it('should only produce chunks while the consumer has credit', async function() {
+      const collected = collectStream(ws, 's2');
+      await sendRequest(ws, '$/stream/start', ['s2', 'stream:infinite', [], 3]);
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      expect(collected.chunks).to.deep.equal([0, 1, 2]);
+
+      ws.send(JSON.stringify({ jsonrpc: '2.0', method: '$/stream/ack', params: ['s2', 2] }));
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      expect(collected.chunks).to.deep.equal([0, 1, 2, 3, 4]);
+
+      ws.send(JSON.stringify({ jsonrpc: '2.0', method: '$/stream/cancel', params: ['s2'] }));
+      await new Promise(resolve => setTimeout(resolve, 300));
+      ws.off('message', collected.handler);
+
+      const stats = await sendRequest(ws, 'stream:stats', []);
+      expect(stats.cleanedUp).to.equal(true);
+      expect(stats.produced).to.be.at.most(6);
+      expect(collected.ended).to.equal(false);
+
+      testResults.push({
+        feature: 'ipcMain.handleStream()',
+        description: 'Backpressure via credits and early termination on cancel',
+        status: 'passed',
+      });
+    });
+
+    it('should propagate errors thrown mid-stream', async function() {
+      const collected = collectStream(ws, 's3');
+      await sendRequest(ws, '$/stream/start', ['s3', 'stream:fail', [], 16]);
+      await new Promise(resolve => setTimeout(resolve, 300));
+      ws.off('message', collected.handler);
+
+      expect(collected.chunks).to.deep.equal(['first']);
+      expect(collected.ended).to.equal(false);
+      expect(collected.error).to.be.instanceOf(Error);
+      expect(collected.error.message).to.equal('Stream failed mid-way');
+
+      testResults.push({
+        feature: 'ipcMain.handleStream()',
+        description: 'Handler error delivered to consumer mid-stream',
+        status: 'passed',
+      });
+    });
+
+    it('should reject unknown stream channels', async function() {
+      try {
+        await sendRequest(ws, '$/stream/start', ['s4', 'stream:missing', [], 16]);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('stream:missing');
+      }
+
+      testResults.push({
+        feature: 'ipcMain.handleStream()',
+        description: 'Unknown stream channel rejected on start',
+        status: 'passed',
+      });
+    });
+
+    it('should reject invokeStream() start failures with the rebuilt error', async function() {
+      const renderer = await createRenderer(3001, { errorMessageFormat: 'electron' });
+
+      try {
+        const chunks = [];
+        for await (const chunk of renderer.invokeStream('stream:count', 2)) chunks.push(chunk);
+        expect(chunks).to.have.length(2);
+
+        const error = await (async () => {
+          for await (const _ of renderer.invokeStream('stream:missing')) { /* not reached */ }
+        })().catch(error => error);
+
+        expect(error.code).to.not.equal(0);
+        expect(error.name).to.equal('Error');
+        expect(error.message).to.equal("Error invoking remote method 'stream:missing': Error: No stream handler registered for 'stream:missing'");
+      } finally {
+        renderer.disconnect();
+      }
+
+      testResults.push({
+        feature: 'ipcMain.handleStream()',
+        description: 'invokeStream() start errors are rebuilt like invoke errors',
+        status: 'passed',
+      });
+    });
+  });
+
   describe('Listener Removal (removeListener, removeAllListeners)', function() {
     let ws;
 
@@ -26,6 +26,138 @@ const FEATURE_DETAILS = {
     electronDocs: 'https://www.electronjs.org/docs/latest/api/web-contents#contentssendchannel-args',
     compatibility: '100% - Implemented as JSON-RPC notifications',
   },
+  'event.sender.send()': {
+    electronAPI: 'event.sender.send(channel, ...args) / event.reply(channel, ...args)',
+    description: 'Reply from a main process handler to the renderer that sent the message',
+    electronDocs: 'https://www.electronjs.org/docs/latest/api/structures/ipc-main-event',
+    compatibility: '100% - event.sender.id is the client connection ID',
+  },
+  'ipcMain.use()': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Middleware pipeline around handle() and on() traffic for auth, logging, validation and timing',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'ipcMain.handleStream()': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Async generator streaming consumed with ipcRenderer.invokeStream() using credit-based backpressure',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - replaces hand-rolled chunking over webContents.send()',
+  },
+  'ipcRenderer.invokeWithOptions()': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Cancellable invokes via AbortSignal; handlers receive event.signal',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'Invoke Timeouts': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Per-call and per-channel invoke timeouts rejecting with TimeoutError',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'createWebServer({ ipc })': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Servers backed by their own IPCMain instance for isolated apps or tenants',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'ServerOptions.authenticateUpgrade': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Authenticates WebSocket upgrades and attaches the identity to event.identity',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - Electron IPC has no network boundary to authenticate',
+  },
+  'ipcMain.sendToUser()': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Notify all clients (tabs, devices) of an authenticated user; identity lookup by client ID',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - Electron windows belong to a single local user',
+  },
+  'ipcMain.broadcastTo()': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Rooms for targeted broadcast with server-authorized renderer subscriptions',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'IPCAdapter': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Pub/sub adapters (in-memory, Redis) fanning notifications out across server processes',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - Electron runs a single main process',
+  },
+  'Graceful Shutdown': {
+    electronAPI: 'N/A (web-only)',
+    description: 'close({ timeout }) drains in-flight invokes and notifies clients before the server stops',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - Electron has no server to shut down',
+  },
+  'ServerOptions.heartbeat': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Configurable server ping/pong and renderer liveness checks that replace stale connections',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - Electron IPC has no network connection to keep alive',
+  },
+  'SSE Fallback Transport': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Server-Sent Events + POST transport used automatically when WebSocket upgrades are blocked',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - same invoke/send/on semantics as the WebSocket transport',
+  },
+  'JSON-RPC over HTTP': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Opt-in POST /ipc/rpc endpoint with batch support for callers without a WebSocket',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - reuses ipcMain.handle() channels, middleware and security',
+  },
+  'attachIpc()': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Mount IPC on an existing HTTP(S) server and Express app without owning listen or static serving',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - same IPC as createWebServer()',
+  },
+  'ServerOptions.https': {
+    electronAPI: 'N/A (web-only)',
+    description: 'TLS served directly, with certificate reload and an optional HTTP to HTTPS redirect',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - gives renderers the secure context clipboard and notifications need',
+  },
+  'ServerOptions.metrics': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Opt-in /metrics endpoint in Prometheus text format, collected by IPCMain',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'configureLogging()': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Pluggable structured logger (pino/winston) with log levels for main and renderer',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'IPCMainOptions.tracing': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'W3C trace context in the JSON-RPC envelope, with OpenTelemetry-compatible hooks',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'ServerOptions.maxPayload': {
+    electronAPI: 'N/A (web-only)',
+    description: 'Message size and nesting-depth limits with error responses, optional permessage-deflate',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'Rate Limiting': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Token-bucket limits per client, globally and per channel',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
+  'Schema-validated Channels': {
+    electronAPI: 'N/A (electron-to-web extension)',
+    description: 'Argument and result schemas (JSON Schema subset or validator function) on ipcMain.handle()',
+    electronDocs: 'N/A',
+    compatibility: 'Extension - no Electron equivalent',
+  },
   'WebSocket Connection': {
     electronAPI: 'N/A (Internal)',
     description: 'Underlying transport layer replacing Electron\'s internal IPC mechanism',
@@ -54,7 +186,7 @@ const FEATURE_DETAILS = {
     electronAPI: 'Structured Clone Algorithm',
     description: 'Serialization of complex data types across process boundary',
     electronDocs: 'https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm',
-    compatibility: 'JSON serialization - supports all JSON-compatible types',
+    compatibility: 'Structured-clone-compatible codec - Date, Map, Set, BigInt, RegExp, Error, undefined and binary values preserved',
   },
 };
 
@@ -188,7 +320,7 @@ function generateMarkdownReport(results, stats) {
   md += '**WebSocket Server:** [ws](https://www.npmjs.com/package/ws)\n\n';
 
   md += '## Limitations\n\n';
-  md += '- **Data Types:** Limited to JSON-serializable types (no functions, circular references, etc.)\n';
+  md += '- **Data Types:** Structured-clone-compatible types (no functions or circular references)\n';
   md += '- **Synchronous IPC:** `ipcRenderer.sendSync()` is not supported (use `invoke()` instead)\n';
   md += '- **Process Isolation:** No true process isolation like Electron (runs in same Node.js process)\n';
   md += '- **Native APIs:** Electron native APIs (dialog, menu, etc.) require separate implementation\n\n';
@@ -96,7 +96,21 @@ function extractFeature(fullTitle) {
   if (fullTitle.includes('Connection Lifecycle') || fullTitle.includes('Connection Management')) {
     return 'Connection Lifecycle';
   }
-  if (fullTitle.includes('Error Handling')) return 'Error Handling';
+  if (fullTitle.includes('Error Handling') || fullTitle.includes('Error Propagation')) return 'Error Handling';
+  if (fullTitle.includes('Invoke Timeouts')) return 'Invoke Timeouts';
+  if (fullTitle.includes('Rate Limiting')) return 'Rate Limiting';
+  if (fullTitle.includes('Schema-validated Channels')) return 'Schema-validated Channels';
+  if (fullTitle.includes('createWebServer({ ipc })')) return 'createWebServer({ ipc })';
+  if (fullTitle.includes('authenticateUpgrade')) return 'ServerOptions.authenticateUpgrade';
+  if (fullTitle.includes('ServerOptions.heartbeat')) return 'ServerOptions.heartbeat';
+  if (fullTitle.includes('IPCAdapter')) return 'IPCAdapter';
+  if (fullTitle.includes('Graceful Shutdown')) return 'Graceful Shutdown';
+  if (fullTitle.includes('SSE Fallback Transport')) return 'SSE Fallback Transport';
+  if (fullTitle.includes('JSON-RPC over HTTP')) return 'JSON-RPC over HTTP';
+  if (fullTitle.includes('ServerOptions.https')) return 'ServerOptions.https';
+  if (fullTitle.includes('ServerOptions.metrics')) return 'ServerOptions.metrics';
+  if (fullTitle.includes('IPCMainOptions.tracing')) return 'IPCMainOptions.tracing';
+  if (fullTitle.includes('ServerOptions.maxPayload')) return 'ServerOptions.maxPayload';
   if (fullTitle.includes('Data Type')) return 'Data Types';
 
   return 'Unknown';
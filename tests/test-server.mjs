@@ -52,6 +52,176 @@ ipcMain.handle('clear-received-messages', async (event) => {
   return { cleared: true };
 });
 
+// Handler that reports the calling client's ID (event.sender.id)
+ipcMain.handle('whoami', async (event) => {
+  return event.sender.id;
+});
+
+// Handler that notifies only the calling client (event.sender.send)
+ipcMain.handle('reply-to-sender', async (event, message) => {
+  event.sender.send('sender-reply', message);
+  return { replied: true };
+});
+
+// Handler returning a Node Buffer (binary payload)
+ipcMain.handle('binary:invert', async (event, data) => {
+  const input = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return Buffer.from(input.map(byte => 255 - byte));
+});
+
+// Handler returning values without a plain JSON form
+ipcMain.handle('types:sample', async () => {
+  return { when: new Date(0), bytes: new Uint8Array([1, 2, 3]), big: 10n };
+});
+
+// Handler throwing a custom error with extra fields and a cause chain
+class SnippetNotFoundError extends Error {
+  constructor(id, options) {
+    super(`Snippet ${id} not found`, options);
+    this.name = 'SnippetNotFoundError';
+    this.code = 'E_NOT_FOUND';
+    this.errno = 404;
+    this.snippetId = id;
+  }
+}
+
+ipcMain.handle('error:custom', async (event, id) => {
+  const cause = Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' });
+  throw new SnippetNotFoundError(id, { cause });
+});
+
+// Only these custom fields are sent besides code and errno (error:circular's path stays on the server)
+ipcMain.configure({ exposeErrorProperties: ['snippetId'] });
+
+// Handler errors and results with circular references (like an HTTP client's error.response)
+ipcMain.handle('error:circular', async () => {
+  const request = { headers: { authorization: 'secret' } };
+  request.res = { req: request };
+  throw Object.assign(new Error('Request failed'), { code: 'E_HTTP', path: '/srv/app/config.json', response: { request } });
+});
+
+ipcMain.handle('result:circular', async () => {
+  const result = { name: 'loop' };
+  result.self = result;
+  return result;
+});
+
+// Slow handler that stops when the invoke is cancelled (event.signal)
+const cancelStats = { aborted: false, reason: null };
+
+ipcMain.handle('cancel:slow', async (event) => {
+  cancelStats.aborted = false;
+  cancelStats.reason = null;
+
+  await new Promise((resolve) => {
+    const timer = setTimeout(resolve, 5000);
+    event.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      cancelStats.aborted = true;
+      cancelStats.reason = event.signal.reason.message;
+      resolve();
+    });
+  });
+
+  return { finished: true };
+});
+
+ipcMain.handle('cancel:stats', async () => {
+  return { ...cancelStats };
+});
+
+// Handler that never settles on its own; its channel timeout aborts it
+const timeoutStats = { aborted: false, reason: null };
+
+ipcMain.handle('timeout:hang', async (event) => {
+  timeoutStats.aborted = false;
+  timeoutStats.reason = null;
+
+  event.signal.addEventListener('abort', () => {
+    timeoutStats.aborted = true;
+    timeoutStats.reason = event.signal.reason.name;
+  });
+
+  return new Promise(() => {});
+}, { timeout: 200 });
+
+ipcMain.handle('timeout:stats', async () => {
+  return { ...timeoutStats };
+});
+
+// Schema-validated channels
+const schemaStats = { calls: 0 };
+
+ipcMain.handle('schema:save', async (event, snippet) => {
+  schemaStats.calls++;
+  return { id: 1, ...snippet };
+}, {
+  args: [{
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      language: { enum: ['js', 'ts', 'py'] },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['title', 'language'],
+    additionalProperties: false,
+  }],
+  result: { type: 'object', required: ['id'] },
+});
+
+ipcMain.handle('schema:bad-result', async () => {
+  return { missing: 'id' };
+}, {
+  result: { type: 'object', required: ['id'] },
+});
+
+ipcMain.handle('schema:validator', async (event, count) => {
+  return count * 2;
+}, {
+  args: [(value) => Number.isInteger(value) || 'must be an integer'],
+});
+
+ipcMain.handle('schema:stats', async () => {
+  return { ...schemaStats };
+});
+
+// Rate-limited channel: bursts of 3 per client, then 1 call per second
+const rateLimitStats = { limited: 0 };
+
+ipcMain.configure({
+  rateLimit: {
+    channels: { 'ratelimit:ping': { capacity: 3, refillPerSecond: 1 } },
+    onLimited: () => rateLimitStats.limited++,
+  },
+});
+
+ipcMain.handle('ratelimit:ping', async () => 'pong');
+
+ipcMain.handle('ratelimit:stats', async () => {
+  return { ...rateLimitStats };
+});
+
+// Rooms: renderers may subscribe to any doc: room except doc:secret
+ipcMain.configure({
+  authorizeRoom: (room) => room.startsWith('doc:') && room !== 'doc:secret',
+});
+
+ipcMain.handle('rooms:join', async (event, room) => {
+  ipcMain.join(event.sender.id, room);
+});
+
+ipcMain.handle('rooms:leave', async (event, room) => {
+  ipcMain.leave(event.sender.id, room);
+});
+
+ipcMain.handle('rooms:broadcast', async (event, room, ...args) => {
+  ipcMain.broadcastTo(room, 'room:message', room, ...args);
+});
+
+ipcMain.handle('rooms:members', async (event, room) => {
+  return ipcMain.getRoomClients(room).length;
+});
+
 // ============================================================================
 // ONE-WAY MESSAGE LISTENERS (ipcMain.on)
 // ============================================================================
@@ -71,17 +241,104 @@ ipcMain.on('multi-listener-test', (event, data) => {
   receivedMessages.push({ listener: 'second', data });
 });
 
+// Listener that replies to the sending client (event.reply)
+ipcMain.on('reply-via-event', (event, message) => {
+  event.reply('event-reply', { from: event.sender.id, message });
+});
+
 // Once listener for testing
 ipcMain.once('once-listener-test', (event, data) => {
   receivedMessages.push({ type: 'once', data });
 });
 
+// ============================================================================
+// MIDDLEWARE (ipcMain.use)
+// ============================================================================
+
+// Short-circuit: block channel before handler runs
+ipcMain.use(async (ctx, next) => {
+  if (ctx.channel === 'middleware:blocked') {
+    return { blocked: true };
+  }
+  return next();
+});
+
+// Transform args and results, share data via ctx.state
+ipcMain.use(async (ctx, next) => {
+  if (ctx.channel !== 'middleware:transform') {
+    return next();
+  }
+
+  ctx.args = ctx.args.map(arg => arg * 2);
+  ctx.state.tag = 'tagged';
+  const result = await next();
+  return { result, tag: ctx.state.tag, clientId: ctx.clientId };
+});
+
+// Observe one-way traffic
+ipcMain.use(async (ctx, next) => {
+  if (ctx.channel === 'middleware:send') {
+    receivedMessages.push({ middleware: ctx.type, args: ctx.args });
+  }
+  return next();
+});
+
+ipcMain.handle('middleware:blocked', async () => {
+  return { blocked: false };
+});
+
+ipcMain.handle('middleware:transform', async (event, ...args) => {
+  return args;
+});
+
+ipcMain.on('middleware:send', (event, data) => {
+  receivedMessages.push({ listener: 'middleware:send', data });
+});
+
+// ============================================================================
+// STREAMING HANDLERS (ipcMain.handleStream)
+// ============================================================================
+
+const streamStats = { produced: 0, cleanedUp: false };
+
+// Yields 0..count-1
+ipcMain.handleStream('stream:count', async function* (event, count) {
+  for (let i = 0; i < count; i++) {
+    yield i;
+  }
+});
+
+// Fails after the first chunk
+ipcMain.handleStream('stream:fail', async function* (event) {
+  yield 'first';
+  throw new Error('Stream failed mid-way');
+});
+
+// Never ends on its own - used for backpressure and cancellation
+ipcMain.handleStream('stream:infinite', async function* (event) {
+  streamStats.produced = 0;
+  streamStats.cleanedUp = false;
+
+  try {
+    while (true) {
+      yield streamStats.produced++;
+    }
+  } finally {
+    streamStats.cleanedUp = true;
+  }
+});
+
+ipcMain.handle('stream:stats', async () => {
+  return { ...streamStats };
+});
+
 // Start server
 async function start() {
   try {
     const { app, server, wss } = await createWebServer({
       port: 3001,
       cors: true,
+      httpRpc: true,
       onConnection: (ws, clientId) => {
         // Silent in test mode
       },